@@ -12,16 +12,35 @@
  *
  * Features:
  *   - Custom element <tiny-mark> with Shadow DOM
- *   - Text elements (.t, .T1-.T6, .pre, .code)
+ *   - Lexer/parser producing a positioned tree and diagnostics
+ *   - Text elements (.t, .T1-.T6, .pre, .code) with inline **bold**, _italic_, `code` and [links](url)
  *   - Media elements (.img, .video, .audio)
  *   - Interactive elements (.btn, .button, .input, .textarea, .select)
  *   - Layout helpers (.row, .col, .card, .divider, .br)
- *   - Hide/unhide blocks with ID-based toggling
+ *   - Nesting of container selectors by indentation or .end
+ *   - Reusable components with parameters and slots (.define/.enddefine)
+ *   - Hide/unhide blocks with ID-based toggling, scoped per component
  *   - Function system (onclick, oncall, onload)
- *   - Animations (hover, fade, pop, slide)
- *   - Security model (allow-js attribute required for js: handlers)
- *   - Inspector (Shift+Click on elements)
+ *   - Reactive state (.state/.var) with {{name}} interpolation
+ *   - Two-way field binding (bind:) and validated .form submission
+ *   - Keyed list rendering with .each/.empty/.endeach
+ *   - Conditional blocks (.if/.elseif/.else/.endif) with a safe expression language
+ *   - Client-side routing with .page/.endpage, .link and hash or history mode
+ *   - Declarative data fetching (.fetch) with polling, refetch and a domain allowlist
+ *   - Event triggers with modifiers, several handlers per element and wait: sequences
+ *   - Custom DOM events (emit:, .on) and lifecycle listeners via tinymarkClient.on
+ *   - src loading with caching, retries, .include partials and .loading/.error blocks
+ *   - Responsive (sm:/md:/lg:) and state (hover:/focus:) variants compiled to scoped classes
+ *   - Themes with $token values, a light/dark pair and .style presets (use:)
+ *   - Animations (hover, fade, pop, slide) in a shared shadow-root stylesheet, with reveal, stagger and exit
+ *   - Security model: capability policy, URL sanitisation and a CSP mode without eval
+ *   - Message catalogs (.messages, JSON) with t:key plurals, Intl formatting, setLocale and RTL
+ *   - Accessible click targets, aria-* pass-through, toggle/focus wiring and an a11y check mode
+ *   - Linter (tinymarkClient.lint) with suggested fixes and an inline lint mode
+ *   - Inspector (Shift+Click on elements) and a devtools panel (tree, registries, action log)
  *   - Public API (window.tinymarkClient)
+ *   - Plugins for selectors, style mappers, actions, animations and lifecycle hooks
+ *   - Server-side rendering to HTML strings and client hydration (Node: module.exports)
  *
  * Changelog:
  *   v1.0.0 - Initial release with full feature set
@@ -30,16 +49,90 @@
 (function() {
   'use strict';
 
+  const hasDOM = typeof window !== 'undefined' && typeof document !== 'undefined';
+
   const TinyMark = {
     version: '1.0.0',
     hiddenBlocks: {},
-    placeholders: {},
     idFunctions: {},
+    handlers: {},
+    data: {},
+    components: {},
+    plugins: [],
+    selectorFactories: {},
+    styleMappers: [],
+    pluginAttributes: [],
+    actions: {},
+    animations: {},
+    theme: 'auto',
+    themes: {
+      light: {
+        primary: '#667eea',
+        secondary: '#764ba2',
+        'on-primary': '#ffffff',
+        surface: '#ffffff',
+        text: '#333333',
+        muted: '#666666',
+        border: '#e0e0e0',
+        shadow: '0 2px 8px rgba(0,0,0,0.1)',
+        'radius-sm': '4px',
+        'radius-md': '8px',
+        'radius-lg': '20px',
+        'space-1': '4px',
+        'space-2': '8px',
+        'space-3': '12px',
+        'space-4': '16px',
+        'space-5': '20px',
+        'space-6': '24px'
+      },
+      dark: {
+        primary: '#8c9eff',
+        secondary: '#9f7aea',
+        'on-primary': '#ffffff',
+        surface: '#1f2230',
+        text: '#e6e6e6',
+        muted: '#a0a4b0',
+        border: '#3a3e4d',
+        shadow: '0 2px 8px rgba(0,0,0,0.5)'
+      }
+    },
+    sourceCache: new Map(),
+    instances: new Set(),
+    events: {},
     allowedDomains: [],
-    globalStyles: null,
-    inspectorOverlay: null
+    policy: {
+      allow: ['nav', 'clipboard', 'host-dom', 'body-styles', 'fetch'],
+      schemes: ['http:', 'https:', 'mailto:', 'tel:'],
+      origins: [],
+      csp: false,
+      nonce: ''
+    },
+    locale: (hasDOM && (document.documentElement.lang || navigator.language)) || 'en',
+    fallbackLocale: 'en',
+    messages: {},
+    catalogs: new Map(),
+    pendingCatalogs: 0,
+    missingMessages: new Set(),
+    routerMode: 'hash',
+    defaultTitle: hasDOM ? document.title : '',
+    sharedSheet: null,
+    revealObserver: null,
+    inspectorOverlay: null,
+    production: hasDOM && !!document.currentScript && document.currentScript.hasAttribute('data-production'),
+    devtools: {
+      panel: null,
+      body: null,
+      highlight: null,
+      tab: 'tree',
+      dock: 'right',
+      selected: null,
+      log: [],
+      refreshTimer: null
+    }
   };
 
+  const DEVTOOLS_LOG_LIMIT = 200;
+
   const SELECTORS = {
     t: 'p',
     T1: 'h1',
@@ -64,22 +157,142 @@
     input: 'input',
     textarea: 'textarea',
     select: 'select',
+    form: 'form',
     divider: 'hr',
     br: 'br',
     body: 'body',
     id: 'div',
     hide: 'hide',
     endhide: 'endhide',
+    each: 'each',
+    empty: 'empty',
+    endeach: 'endeach',
+    if: 'if',
+    elseif: 'elseif',
+    else: 'else',
+    endif: 'endif',
+    include: 'include',
+    fetch: 'fetch',
+    loading: 'loading',
+    endloading: 'endloading',
+    error: 'error',
+    enderror: 'enderror',
+    end: 'end',
+    state: 'state',
+    var: 'var',
+    define: 'define',
+    enddefine: 'enddefine',
+    slot: 'slot',
+    theme: 'theme',
+    style: 'style',
+    page: 'page',
+    endpage: 'endpage',
+    on: 'on',
+    messages: 'messages',
+    link: 'a',
     placeholder: 'section'
   };
 
+  const CONTAINER_SELECTORS = ['row', 'col', 'card', 'ul', 'ol', 'li', 'form', 'slot'];
+
+  const FIELD_SELECTORS = ['input', 'textarea', 'select'];
+
+  const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+  const LOCALE_KEY = '$locale';
+
+  const KNOWN_ATTRIBUTES = [
+    'id', 'class', 'style', 'use', 'name', 'color', 'bg', 'color-bg', 'size', 'family', 'align', 'padding', 'margin',
+    'radius', 'shadow', 'width', 'height', 'display', 'border', 'gap', 'flex', 'direction', 'wrap', 'hide-on',
+    'animation', 'exit', 'reveal', 'stagger', 'duration', 'delay', 'easing', 'src', 'href', 'to', 'alt', 'label',
+    'role', 'title', 't', 'type', 'placeholder', 'value', 'options', 'bind', 'required', 'pattern', 'min', 'max',
+    'error', 'handler', 'controls', 'autoplay', 'loop', 'onclick', 'key', 'for', 'url', 'method', 'headers', 'body',
+    'every', 'timeout', 'event', 'route', 'locale'
+  ];
+
+  const FREE_ATTRIBUTE_SELECTORS = ['state', 'var', 'theme', 'messages', 'define', 'each', 'if'];
+
+  const COLOR_ATTRIBUTES = ['color', 'bg'];
+
+  const LENGTH_ATTRIBUTES = ['size', 'padding', 'margin', 'radius', 'width', 'height', 'gap'];
+
+  const CSS_KEYWORDS = [
+    'auto', 'inherit', 'initial', 'unset', 'none', 'fit-content', 'min-content', 'max-content',
+    'xx-small', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'smaller', 'larger'
+  ];
+
+  const PLAIN_TEXT_SELECTORS = ['pre', 'code', 'textarea', 'input', 'select'];
+
+  const INLINE_ESCAPES = ['*', '_', '`', '[', ']', '\\'];
+
+  const INTERPOLATION_TOKEN = /^\{\{\s*[\w$.-]+\s*\}\}/;
+
+  const MESSAGE_TOKEN = /^\{\s*[\w.]+\s*(?:,\s*\w+(?::[^}]*)?\s*)?\}/;
+
+  const INTERACTIVE_TAGS = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY'];
+
+  const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  const NAMED_COLORS = {
+    black: '#000000',
+    white: '#ffffff',
+    gray: '#808080',
+    grey: '#808080',
+    silver: '#c0c0c0',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    orange: '#ffa500',
+    purple: '#800080',
+    pink: '#ffc0cb'
+  };
+
+  const EVENT_TRIGGERS = {
+    onclick: 'click',
+    onchange: 'change',
+    oninput: 'input',
+    onsubmit: 'submit',
+    onhover: 'mouseenter',
+    onfocus: 'focus',
+    onkey: 'keydown'
+  };
+
+  const TRIGGERS = Object.keys(EVENT_TRIGGERS).concat(['onload', 'oncall', 'onvisible', 'ontimer', 'onevent']);
+
+  const BREAKPOINTS = {
+    sm: '(max-width: 640px)',
+    md: '(min-width: 641px)',
+    lg: '(min-width: 1025px)'
+  };
+
+  const STATE_VARIANTS = {
+    hover: ':hover',
+    focus: ':focus',
+    active: ':active'
+  };
+
+  const VOID_ELEMENTS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+  const BASE_STYLES = `
+        :host {
+          display: block;
+        }
+        * {
+          box-sizing: border-box;
+        }
+        button {
+          cursor: pointer;
+        }
+      `;
+
   const BUTTON_STYLES = {
     modern: {
-      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-      color: '#ffffff',
+      background: 'linear-gradient(135deg, $primary 0%, $secondary 100%)',
+      color: '$on-primary',
       border: 'none',
-      padding: '12px 24px',
-      borderRadius: '8px',
+      padding: '$space-3 $space-6',
+      borderRadius: '$radius-md',
       fontWeight: '600',
       cursor: 'pointer',
       transition: 'all 0.3s ease',
@@ -87,11 +300,11 @@
       display: 'inline-block'
     },
     classic: {
-      background: '#ffffff',
-      color: '#333333',
-      border: '2px solid #333333',
+      background: '$surface',
+      color: '$text',
+      border: '2px solid $text',
       padding: '10px 20px',
-      borderRadius: '4px',
+      borderRadius: '$radius-sm',
       fontWeight: '500',
       cursor: 'pointer',
       transition: 'all 0.2s ease',
@@ -114,655 +327,4042 @@
   };
 
   const ANIMATIONS = {
-    hover: `
-      transition: transform 0.2s ease;
-      &:hover { transform: scale(1.05); }
-    `,
-    fade: `
-      animation: tmk-fade 0.5s ease-in-out;
-      @keyframes tmk-fade {
-        from { opacity: 0; }
-        to { opacity: 1; }
-      }
-    `,
-    pop: `
-      animation: tmk-pop 0.3s cubic-bezier(0.68, -0.55, 0.265, 1.55);
-      @keyframes tmk-pop {
-        0% { transform: scale(0.8); opacity: 0; }
-        100% { transform: scale(1); opacity: 1; }
-      }
-    `,
-    'slide-up': `
-      animation: tmk-slide-up 0.4s ease-out;
-      @keyframes tmk-slide-up {
-        from { transform: translateY(20px); opacity: 0; }
-        to { transform: translateY(0); opacity: 1; }
-      }
-    `,
-    'slide-down': `
-      animation: tmk-slide-down 0.4s ease-out;
-      @keyframes tmk-slide-down {
-        from { transform: translateY(-20px); opacity: 0; }
-        to { transform: translateY(0); opacity: 1; }
-      }
-    `,
-    'slide-left': `
-      animation: tmk-slide-left 0.4s ease-out;
-      @keyframes tmk-slide-left {
-        from { transform: translateX(20px); opacity: 0; }
-        to { transform: translateX(0); opacity: 1; }
-      }
-    `,
-    'slide-right': `
-      animation: tmk-slide-right 0.4s ease-out;
-      @keyframes tmk-slide-right {
-        from { transform: translateX(-20px); opacity: 0; }
-        to { transform: translateX(0); opacity: 1; }
-      }
-    `
+    hover: {
+      css: '& { transition: transform var(--tmk-duration, 0.2s) var(--tmk-easing, ease); } &:hover { transform: scale(1.05); }'
+    },
+    fade: {
+      keyframes: 'from { opacity: 0; } to { opacity: 1; }',
+      duration: '0.5s',
+      easing: 'ease-in-out'
+    },
+    pop: {
+      keyframes: '0% { transform: scale(0.8); opacity: 0; } 100% { transform: scale(1); opacity: 1; }',
+      duration: '0.3s',
+      easing: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)'
+    },
+    'slide-up': {
+      keyframes: 'from { transform: translateY(20px); opacity: 0; } to { transform: translateY(0); opacity: 1; }',
+      duration: '0.4s',
+      easing: 'ease-out'
+    },
+    'slide-down': {
+      keyframes: 'from { transform: translateY(-20px); opacity: 0; } to { transform: translateY(0); opacity: 1; }',
+      duration: '0.4s',
+      easing: 'ease-out'
+    },
+    'slide-left': {
+      keyframes: 'from { transform: translateX(20px); opacity: 0; } to { transform: translateX(0); opacity: 1; }',
+      duration: '0.4s',
+      easing: 'ease-out'
+    },
+    'slide-right': {
+      keyframes: 'from { transform: translateX(-20px); opacity: 0; } to { transform: translateX(0); opacity: 1; }',
+      duration: '0.4s',
+      easing: 'ease-out'
+    }
   };
 
-  function parseAttributes(rawText) {
-    const attrs = {};
-    let text = null;
-    const quoteRegex = /"([^"]*)"/g;
-    const quotes = [];
-    let match;
-    while ((match = quoteRegex.exec(rawText)) !== null) {
-      quotes.push({ start: match.index, end: match.index + match[0].length, value: match[1] });
-    }
-    if (quotes.length > 0 && quotes[0].start === 0) {
-      text = quotes[0].value;
-      rawText = rawText.substring(quotes[0].end).trim();
-    }
-    const parts = rawText.split(/\s+/);
-    for (let part of parts) {
-      if (!part || part.trim() === '') continue;
-      const colonIndex = part.indexOf(':');
-      if (colonIndex === -1) continue;
-      const key = part.substring(0, colonIndex).trim();
-      let value = part.substring(colonIndex + 1).trim();
-      if (value.startsWith('"') && value.endsWith('"')) {
-        value = value.slice(1, -1);
-      } else {
-        const fullMatch = rawText.match(new RegExp(key + '\\s*:\\s*"([^"]*)"'));
-        if (fullMatch) {
-          value = fullMatch[1];
+  const REDUCED_MOTION_STYLES = `
+        .tmk-reveal {
+          opacity: 0;
         }
-      }
-      attrs[key] = value;
+        @media (prefers-reduced-motion: reduce) {
+          [class*="tmk-anim-"], [class*="tmk-exit-"] {
+            animation: none !important;
+            transition: none !important;
+          }
+          .tmk-reveal {
+            opacity: 1;
+          }
+        }
+      `;
+
+  /*
+   * Parser
+   *
+   * parseDocument(source) turns TinyMark source into a tree of plain objects:
+   *
+   *   document  { type: 'document', children: [node], diagnostics: [diagnostic] }
+   *   element   { type: 'element', selector, text, attrs, children?, line, column, indent, rawLine }
+   *   hide      { type: 'hide', selector: 'hide', attrs: { id }, children, ... }
+   *   each      { type: 'each', selector: 'each', source, as, attrs, children, empty, ... }
+   *   if        { type: 'if', selector: 'if', branches: [{ condition, children, line, column }], ... }
+   *   loading   { type: 'loading', selector: 'loading', children, ... } (same for error)
+   *   page      { type: 'page', selector: 'page', attrs: { route, title }, children, ... }
+   *   define    { type: 'define', selector: 'define', name, params: [{ name, value }], children, ... }
+   *
+   * `text` is the leading quoted string (or null), `attrs` maps each key:value
+   * attribute to its unquoted value and bare words to ''. Each
+   * function:trigger(arg).modifier(body) attribute becomes an entry of
+   * `handlers`: { type, arg, modifiers, body }; the first one is also exposed as
+   * attrs.functionType and attrs.functionBody. `children` is only present on
+   * containers and blocks. Lines and columns are 1-based.
+   *
+   * Each diagnostic is { severity: 'error' | 'warning', message, line, column }.
+   */
+
+  const BLOCK_SELECTORS = {
+    hide: { end: 'endhide', branches: [] },
+    each: { end: 'endeach', branches: ['empty'] },
+    if: { end: 'endif', branches: ['elseif', 'else'] },
+    loading: { end: 'endloading', branches: [] },
+    error: { end: 'enderror', branches: [] },
+    define: { end: 'enddefine', branches: [] },
+    page: { end: 'endpage', branches: [] }
+  };
+
+  const BLOCK_TERMINATORS = ['endhide', 'empty', 'endeach', 'elseif', 'else', 'endif', 'endloading', 'enderror', 'enddefine', 'endpage'];
+
+  const RAW_ARGUMENT_SELECTORS = ['each', 'if', 'elseif', 'define'];
+
+  function createLocator(source) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') lineStarts.push(i + 1);
     }
-    return { text, attrs };
+    return function(pos) {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= pos) low = mid;
+        else high = mid - 1;
+      }
+      return { line: low + 1, column: pos - lineStarts[low] + 1 };
+    };
   }
 
-  function parseLines(input) {
-    const lines = input.split('\n');
-    const parsed = [];
-    let i = 0;
-    while (i < lines.length) {
-      const line = lines[i].trim();
-      if (!line || line.startsWith('//') || line.startsWith('#')) {
-        i++;
-        continue;
-      }
-      if (!line.startsWith('.')) {
-        i++;
+  function addDiagnostic(diagnostics, severity, message, loc) {
+    diagnostics.push({ severity, message, line: loc.line, column: loc.column });
+  }
+
+  function readString(source, start) {
+    let value = '';
+    let pos = start + 1;
+    while (pos < source.length && source[pos] !== '\n') {
+      const ch = source[pos];
+      if (ch === '\\' && (source[pos + 1] === '"' || source[pos + 1] === '\\')) {
+        value += source[pos + 1];
+        pos += 2;
         continue;
       }
-      const selectorMatch = line.match(/^\.([a-zA-Z0-9_-]+)\s*(.*)/);
-      if (!selectorMatch) {
-        i++;
-        continue;
+      if (ch === '"') {
+        return { value, end: pos + 1, closed: true };
       }
-      const selector = selectorMatch[1];
-      let rest = selectorMatch[2].trim();
-      if (selector === 'hide') {
-        const { text, attrs } = parseAttributes(rest);
-        const id = attrs.id || text;
-        const blockLines = [];
-        i++;
-        while (i < lines.length) {
-          const blockLine = lines[i].trim();
-          if (blockLine.startsWith('.endhide')) {
-            break;
-          }
-          blockLines.push(lines[i]);
-          i++;
+      value += ch;
+      pos++;
+    }
+    return { value, end: pos, closed: false };
+  }
+
+  function readValue(source, start) {
+    let pos = start;
+    let depth = 0;
+    let inQuote = false;
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (inQuote) {
+        if (ch === '\\') {
+          pos += 2;
+          continue;
         }
-        registerHideBlock(id, blockLines.join('\n'));
-        i++;
-        continue;
+        if (ch === '"' || ch === '\n') inQuote = false;
+      } else if (ch === '"') {
+        inQuote = true;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        if (depth === 0) break;
+        depth--;
+      } else if (depth === 0 && /\s/.test(ch)) {
+        break;
       }
-      if (selector === 'endhide') {
+      pos++;
+    }
+    return { value: source.substring(start, pos), end: pos, closed: depth === 0 };
+  }
+
+  function findCommentStart(text) {
+    let inQuote = false;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\\' && inQuote) {
         i++;
+      } else if (text[i] === '"') {
+        inQuote = !inQuote;
+      } else if (!inQuote && text.startsWith('//', i) && (i === 0 || /\s/.test(text[i - 1]))) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  function isVariantPrefix(name) {
+    return name in BREAKPOINTS || name in STATE_VARIANTS;
+  }
+
+  function measureIndent(whitespace) {
+    return whitespace.replace(/\t/g, '    ').length;
+  }
+
+  function lexSource(source, diagnostics) {
+    const locate = createLocator(source);
+    const statements = [];
+    let pos = 0;
+    while (pos < source.length) {
+      let lineEnd = source.indexOf('\n', pos);
+      if (lineEnd === -1) lineEnd = source.length;
+      const lineText = source.substring(pos, lineEnd);
+      const trimmed = lineText.trim();
+      if (!trimmed || trimmed.startsWith('//') || trimmed.startsWith('#')) {
+        pos = lineEnd + 1;
         continue;
       }
-      if (selector === 'placeholder') {
-        const { text, attrs } = parseAttributes(rest);
-        const id = attrs.id || text;
-        parsed.push({ selector, text, attrs: { ...attrs, id }, rawLine: line });
-        i++;
+      const indentText = lineText.match(/^\s*/)[0];
+      const start = pos + indentText.length;
+      const selectorMatch = source.substring(start, lineEnd).match(/^\.([a-zA-Z0-9_-]+)/);
+      if (!selectorMatch) {
+        addDiagnostic(diagnostics, 'warning', 'Line ignored: expected a selector such as .t or .btn', locate(start));
+        pos = lineEnd + 1;
         continue;
       }
-      const funcMatch = rest.match(/function\s*:\s*(\w+)\s*\(/);
-      if (funcMatch) {
-        const funcType = funcMatch[1];
-        const startIndex = rest.indexOf('(');
-        let depth = 0;
-        let endIndex = -1;
-        for (let j = startIndex; j < rest.length; j++) {
-          if (rest[j] === '(') depth++;
-          if (rest[j] === ')') {
-            depth--;
-            if (depth === 0) {
-              endIndex = j;
-              break;
-            }
+      const loc = locate(start);
+      const stmt = {
+        selector: selectorMatch[1],
+        text: null,
+        attrs: {},
+        args: '',
+        functions: [],
+        indent: measureIndent(indentText),
+        line: loc.line,
+        column: loc.column,
+        rawLine: ''
+      };
+      let p = start + selectorMatch[0].length;
+      if (p < lineEnd && !/[\s"]/.test(source[p])) {
+        addDiagnostic(diagnostics, 'error', 'Invalid character after selector .' + stmt.selector, locate(p));
+      }
+      if (RAW_ARGUMENT_SELECTORS.includes(stmt.selector)) {
+        const rest = source.substring(p, lineEnd);
+        const commentStart = findCommentStart(rest);
+        stmt.args = (commentStart === -1 ? rest : rest.substring(0, commentStart)).trim();
+        p = lineEnd;
+      }
+      while (p < lineEnd) {
+        const ch = source[p];
+        if (ch === ' ' || ch === '\t' || ch === '\r') {
+          p++;
+          continue;
+        }
+        if (source.startsWith('//', p)) {
+          p = lineEnd;
+          break;
+        }
+        const tokenLoc = locate(p);
+        if (ch === '"') {
+          const str = readString(source, p);
+          if (!str.closed) {
+            addDiagnostic(diagnostics, 'error', 'Unterminated string', tokenLoc);
+          }
+          if (stmt.text === null && Object.keys(stmt.attrs).length === 0) {
+            stmt.text = str.value;
+          } else {
+            addDiagnostic(diagnostics, 'warning', 'Text must directly follow the selector; this string is ignored', tokenLoc);
           }
+          p = str.end;
+          continue;
         }
-        let funcBody = '';
-        if (endIndex === -1) {
-          funcBody = rest.substring(startIndex + 1).trim();
-          i++;
-          while (i < lines.length) {
-            const nextLine = lines[i];
-            const closeIndex = nextLine.indexOf(')');
-            if (closeIndex !== -1) {
-              funcBody += '\n' + nextLine.substring(0, closeIndex);
-              rest = rest.substring(0, startIndex) + nextLine.substring(closeIndex + 1);
-              break;
-            } else {
-              funcBody += '\n' + nextLine;
-              i++;
-            }
+        const keyMatch = source.substring(p, lineEnd).match(/^[^\s:"()]+/);
+        if (!keyMatch) {
+          addDiagnostic(diagnostics, 'error', 'Unexpected "' + ch + '"', tokenLoc);
+          p++;
+          continue;
+        }
+        let key = keyMatch[0];
+        p += key.length;
+        let variantMatch;
+        while (source[p] === ':' && isVariantPrefix(key.split(':').pop()) &&
+          (variantMatch = source.substring(p + 1, lineEnd).match(/^[\w-]+(?=:)/))) {
+          key += ':' + variantMatch[0];
+          p += 1 + variantMatch[0].length;
+        }
+        if (source[p] !== ':') {
+          stmt.attrs[key] = '';
+          continue;
+        }
+        let value;
+        if (source[p + 1] === '"') {
+          const str = readString(source, p + 1);
+          if (!str.closed) {
+            addDiagnostic(diagnostics, 'error', 'Unterminated string in attribute ' + key, locate(p + 1));
           }
+          value = str.value;
+          p = str.end;
         } else {
-          funcBody = rest.substring(startIndex + 1, endIndex).trim();
-          rest = rest.substring(0, startIndex) + rest.substring(endIndex + 1);
+          const raw = readValue(source, p + 1);
+          if (!raw.closed) {
+            addDiagnostic(diagnostics, 'error', 'Missing ) in attribute ' + key, tokenLoc);
+          }
+          value = raw.value;
+          p = raw.end;
+          if (source[p] === ')') {
+            addDiagnostic(diagnostics, 'error', 'Unexpected ")"', locate(p));
+            p++;
+          }
+          lineEnd = source.indexOf('\n', p);
+          if (lineEnd === -1) lineEnd = source.length;
         }
-        const { text, attrs } = parseAttributes(rest);
-        attrs.functionType = funcType;
-        attrs.functionBody = funcBody;
-        parsed.push({ selector, text, attrs, rawLine: line });
-      } else {
-        const { text, attrs } = parseAttributes(rest);
-        parsed.push({ selector, text, attrs, rawLine: line });
+        if (key === 'function') {
+          stmt.functions.push({ value, line: tokenLoc.line, column: tokenLoc.column });
+          continue;
+        }
+        if (key in stmt.attrs) {
+          addDiagnostic(diagnostics, 'warning', 'Duplicate attribute ' + key + '; the last value wins', tokenLoc);
+        }
+        stmt.attrs[key] = value;
       }
-      i++;
+      stmt.rawLine = source.substring(start, lineEnd).trim();
+      statements.push(stmt);
+      pos = lineEnd + 1;
     }
-    return parsed;
+    return statements;
   }
 
-  function registerHideBlock(id, bodyText) {
-    if (!id) return;
-    TinyMark.hiddenBlocks[String(id)] = bodyText;
-    console.log('[TinyMark] Registered hide block:', id);
+  function createNode(stmt, diagnostics) {
+    const node = {
+      type: 'element',
+      selector: stmt.selector,
+      text: stmt.text,
+      attrs: stmt.attrs,
+      handlers: [],
+      line: stmt.line,
+      column: stmt.column,
+      indent: stmt.indent,
+      rawLine: stmt.rawLine
+    };
+    for (const func of stmt.functions || []) {
+      const funcMatch = func.value.match(/^([\w-]+)(?:\(([^()]*)\))?((?:\.[\w-]+)*)\s*\(([\s\S]*)\)\s*$/);
+      if (!funcMatch) {
+        addDiagnostic(diagnostics, 'error', 'Expected function:trigger(actions)', func);
+        continue;
+      }
+      const handler = {
+        type: funcMatch[1],
+        arg: funcMatch[2] === undefined ? null : funcMatch[2].trim(),
+        modifiers: funcMatch[3].split('.').filter(Boolean),
+        body: funcMatch[4].trim()
+      };
+      if (!TRIGGERS.includes(handler.type)) {
+        addDiagnostic(diagnostics, 'warning', 'Unknown trigger ' + handler.type, func);
+      } else if (handler.type === 'ontimer' && !parseDuration(handler.arg, 0)) {
+        addDiagnostic(diagnostics, 'error', 'Expected a duration such as ontimer(5s)', func);
+      }
+      if (!node.handlers.length) {
+        node.attrs.functionType = handler.type;
+        node.attrs.functionBody = handler.body;
+      }
+      node.handlers.push(handler);
+    }
+    if (node.selector === 'placeholder' || node.selector === 'hide') {
+      node.attrs.id = node.attrs.id || node.text;
+    }
+    return node;
   }
 
-  function getOrCreatePlaceholder(id) {
-    const key = String(id);
-    if (TinyMark.placeholders[key]) {
-      return TinyMark.placeholders[key];
-    }
-    let node = document.querySelector('[data-tmk-id="' + key + '"]');
-    if (node) {
-      TinyMark.placeholders[key] = node;
-      return node;
+  function createBlockNode(stmt, segments, diagnostics) {
+    const node = createNode(stmt, diagnostics);
+    node.type = stmt.selector;
+    if (['hide', 'loading', 'error', 'page'].includes(stmt.selector)) {
+      node.children = segments[0].children;
+    } else if (stmt.selector === 'each') {
+      const eachMatch = stmt.args.match(/^(.*?)(?:\s+as\s+([\w$]+))?((?:\s+[\w-]+:\S*)*)\s*$/);
+      node.source = eachMatch[1].trim();
+      node.as = eachMatch[2] || 'item';
+      node.attrs = {};
+      eachMatch[3].trim().split(/\s+/).filter(Boolean).forEach(part => {
+        const colonIndex = part.indexOf(':');
+        node.attrs[part.substring(0, colonIndex)] = part.substring(colonIndex + 1);
+      });
+      if (!node.source) {
+        addDiagnostic(diagnostics, 'error', 'Expected .each source as name', stmt);
+      }
+      node.children = segments[0].children;
+      node.empty = segments[1] ? segments[1].children : [];
+    } else if (stmt.selector === 'define') {
+      const parts = stmt.args.split(/\s+/).filter(Boolean);
+      node.name = parts.shift() || '';
+      node.params = parseParams(parts);
+      node.children = segments[0].children;
+      if (!node.name) {
+        addDiagnostic(diagnostics, 'error', 'Expected .define name followed by parameters', stmt);
+      } else if (SELECTORS[node.name]) {
+        addDiagnostic(diagnostics, 'error', 'Cannot redefine built-in selector .' + node.name, stmt);
+      }
+    } else if (stmt.selector === 'if') {
+      node.branches = segments.map(segment => ({
+        condition: segment.stmt.selector === 'else' ? null : segment.stmt.args,
+        children: segment.children,
+        line: segment.stmt.line,
+        column: segment.stmt.column
+      }));
+      node.branches.forEach(branch => {
+        if (branch.condition === null) return;
+        if (!branch.condition) {
+          addDiagnostic(diagnostics, 'error', 'Missing condition', branch);
+          return;
+        }
+        try {
+          branch.compiled = compileExpression(branch.condition);
+        } catch (err) {
+          addDiagnostic(diagnostics, 'error', err.message, branch);
+        }
+      });
     }
-    node = document.createElement('section');
-    node.setAttribute('data-tmk-id', key);
-    node.style.display = 'none';
-    document.body.appendChild(node);
-    TinyMark.placeholders[key] = node;
     return node;
   }
 
-  function renderTinyMarkFragment(text, shadowRoot, allowJs) {
-    const fragment = document.createDocumentFragment();
-    const parsed = parseLines(text);
-    for (const item of parsed) {
-      const el = createElementFromParsed(item, shadowRoot, allowJs);
-      if (el) fragment.appendChild(el);
+  function parseParams(parts) {
+    return parts.map(part => {
+      if (typeof part !== 'string') return part;
+      const colonIndex = part.indexOf(':');
+      if (colonIndex === -1) return { name: part, value: '' };
+      return { name: part.substring(0, colonIndex), value: part.substring(colonIndex + 1) };
+    });
+  }
+
+  function isContainerSelector(selector) {
+    return CONTAINER_SELECTORS.includes(selector) || !(selector in SELECTORS);
+  }
+
+  function hasExplicitEnd(items, index) {
+    const indent = items[index].indent;
+    for (let k = index + 1; k < items.length; k++) {
+      if (items[k].indent < indent) return false;
+      if (items[k].selector === 'end' && items[k].indent === indent) return true;
     }
-    return fragment;
+    return false;
   }
 
-  function executeCallAction(action, id, shadowRoot, allowJs) {
-    id = String(id);
-    const placeholder = getOrCreatePlaceholder(id);
-    const body = TinyMark.hiddenBlocks[id];
-    if (action === 'show' || action === 'unhide' || action === 'render') {
-      if (!body) {
-        console.warn('[TinyMark] No hide block found for id:', id);
+  function buildTree(items, diagnostics) {
+    const root = [];
+    const stack = [];
+    items.forEach((item, index) => {
+      if (item.selector === 'end') {
+        while (stack.length && stack[stack.length - 1].indent > item.indent) stack.pop();
+        if (!stack.length) {
+          addDiagnostic(diagnostics, 'warning', 'Unexpected .end with no open container', item);
+        }
+        stack.pop();
         return;
       }
-      const frag = renderTinyMarkFragment(body, shadowRoot, allowJs);
-      placeholder.innerHTML = '';
-      placeholder.appendChild(frag);
-      placeholder.style.display = '';
-      console.log('[TinyMark] Showed block:', id);
-      return;
-    }
-    if (action === 'hide' || action === 'disappear') {
-      placeholder.innerHTML = '';
-      placeholder.style.display = 'none';
-      console.log('[TinyMark] Hid block:', id);
-      return;
-    }
-    if (action === 'toggle') {
-      if (placeholder.style.display === 'none' || !placeholder.innerHTML) {
-        executeCallAction('unhide', id, shadowRoot, allowJs);
+      while (stack.length) {
+        const top = stack[stack.length - 1];
+        if (item.indent > top.indent || (top.explicit && item.indent === top.indent)) break;
+        stack.pop();
+      }
+      const siblings = stack.length ? stack[stack.length - 1].item.children : root;
+      siblings.push(item);
+      if (!isContainerSelector(item.selector)) return;
+      item.children = [];
+      const next = items[index + 1];
+      if (next && next.indent > item.indent) {
+        stack.push({ item, indent: item.indent, explicit: false });
+      } else if (!item.text && next && hasExplicitEnd(items, index)) {
+        stack.push({ item, indent: item.indent, explicit: true });
+      }
+    });
+    return root;
+  }
+
+  function parseBody(statements, state, terminators, diagnostics) {
+    const items = [];
+    while (state.index < statements.length) {
+      const stmt = statements[state.index];
+      if (terminators.includes(stmt.selector)) {
+        return { children: buildTree(items, diagnostics), stop: stmt };
+      }
+      state.index++;
+      if (BLOCK_SELECTORS[stmt.selector]) {
+        items.push(parseBlock(stmt, statements, state, diagnostics));
+      } else if (BLOCK_TERMINATORS.includes(stmt.selector)) {
+        addDiagnostic(diagnostics, 'warning', 'Unexpected .' + stmt.selector + ' outside of a matching block', stmt);
       } else {
-        executeCallAction('hide', id, shadowRoot, allowJs);
+        items.push(stmt.selector === 'end' ? stmt : createNode(stmt, diagnostics));
       }
-      return;
     }
-    console.warn('[TinyMark] Unknown call action:', action);
+    return { children: buildTree(items, diagnostics), stop: null };
   }
 
-  function executeIdFunction(id, shadowRoot, allowJs) {
-    const func = TinyMark.idFunctions[String(id)];
-    if (!func) {
-      console.warn('[TinyMark] No function registered for id:', id);
-      return;
+  function parseBlock(stmt, statements, state, diagnostics) {
+    const block = BLOCK_SELECTORS[stmt.selector];
+    const terminators = [block.end].concat(block.branches);
+    const segments = [];
+    let opener = stmt;
+    while (true) {
+      const body = parseBody(statements, state, terminators, diagnostics);
+      segments.push({ stmt: opener, children: body.children });
+      if (!body.stop) {
+        addDiagnostic(diagnostics, 'error', 'Missing .' + block.end + ' for .' + stmt.selector + ' opened on line ' + stmt.line, stmt);
+        break;
+      }
+      state.index++;
+      if (body.stop.selector === block.end) break;
+      opener = body.stop;
     }
-    console.log('[TinyMark] Executing function:', id, func);
-    if (func.type === 'oncall') {
-      parseFunctionBody(func.body, shadowRoot, allowJs);
+    return createBlockNode(stmt, segments, diagnostics);
+  }
+
+  function parseDocument(source) {
+    const diagnostics = [];
+    source = runPluginHook('beforeParse', String(source || ''));
+    const statements = lexSource(source, diagnostics);
+    const state = { index: 0 };
+    const body = parseBody(statements, state, [], diagnostics);
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    const doc = { type: 'document', children: body.children, diagnostics };
+    runPluginHook('afterParse', doc);
+    return doc;
+  }
+
+  function reportDiagnostics(diagnostics, instance) {
+    for (const diagnostic of diagnostics) {
+      const log = diagnostic.severity === 'error' ? console.error : console.warn;
+      log('[TinyMark] ' + diagnostic.line + ':' + diagnostic.column + ' ' + diagnostic.message);
+      if (diagnostic.severity === 'error') {
+        notifyListeners('parse-error', Object.assign({ instance: instance || null }, diagnostic));
+      }
     }
   }
 
-  function parseFunctionBody(body, shadowRoot, allowJs) {
-    const callMatch = body.match(/(hide|unhide|show|toggle)\s*\(\s*hide\s*:\s*([^)]+)\)/);
-    if (callMatch) {
-      const action = callMatch[1];
-      const targetId = callMatch[2].trim();
-      executeCallAction(action, targetId, shadowRoot, allowJs);
-      return;
+  function walkNodes(nodes, visit) {
+    for (const node of nodes || []) {
+      visit(node);
+      walkNodes(node.children, visit);
+      walkNodes(node.empty, visit);
+      (node.branches || []).forEach(branch => walkNodes(branch.children, visit));
     }
-    const simpleCallMatch = body.match(/call\s*:\s*(hide|unhide|show|toggle)\s*:\s*([^\s)]+)/);
-    if (simpleCallMatch) {
-      const action = simpleCallMatch[1];
-      const targetId = simpleCallMatch[2].trim();
-      executeCallAction(action, targetId, shadowRoot, allowJs);
-      return;
+  }
+
+  function getEditDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+        previous = current;
+      }
     }
-    const navMatch = body.match(/tmk\s*:\s*nav\s*=\s*([^\s;]+)/);
-    if (navMatch) {
-      window.location.href = navMatch[1];
-      return;
+    return row[b.length];
+  }
+
+  function suggestName(name, candidates) {
+    let best = null;
+    let bestDistance = Math.min(2, Math.floor(name.length / 2));
+    candidates.forEach(candidate => {
+      const distance = getEditDistance(name, candidate);
+      if (distance <= bestDistance && (!best || distance < bestDistance)) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  function isValidCssValue(name, value) {
+    value = String(value).trim();
+    if (!value || hasInterpolation(value) || value.includes('$') || value.includes('(') || CSS_KEYWORDS.includes(value.toLowerCase())) {
+      return true;
     }
-    const copyMatch = body.match(/tmk\s*:\s*copy\s*=\s*([^\s;]+)/);
-    if (copyMatch) {
-      const selector = copyMatch[1];
-      const el = document.querySelector(selector);
-      if (el) {
-        navigator.clipboard.writeText(el.textContent || '').then(() => {
-          console.log('[TinyMark] Copied to clipboard');
+    if (COLOR_ATTRIBUTES.includes(name)) {
+      return !!parseColor(value) || /^[a-z]+$/i.test(value);
+    }
+    return value.split(/\s+/).every(part => part === '0' || CSS_KEYWORDS.includes(part.toLowerCase()) ||
+      /^-?(\d+|\d*\.\d+)(px|em|rem|%|vh|vw|vmin|vmax|pt|pc|ch|ex|cm|mm|in|fr)$/i.test(part));
+  }
+
+  function lintSource(source) {
+    const doc = parseDocument(source);
+    const diagnostics = doc.diagnostics.map(diagnostic => {
+      const missing = diagnostic.message.match(/^Missing (\.\w+) for/);
+      return missing ? Object.assign({}, diagnostic, { fix: 'Add ' + missing[1] + ' after the last line of the block' }) : Object.assign({}, diagnostic);
+    });
+    const report = (severity, message, node, fix) => {
+      diagnostics.push({ severity, message, line: node.line, column: node.column, fix: fix || null });
+    };
+    const components = Object.keys(TinyMark.components);
+    const knownAttributes = KNOWN_ATTRIBUTES.concat(TinyMark.pluginAttributes);
+    const declared = { hide: {}, placeholder: {}, function: {}, fetch: {} };
+    const references = [];
+    const declare = (kind, id, node) => {
+      if (!id) return;
+      if (declared[kind][id]) {
+        report('warning', 'Duplicate ' + (kind === 'function' ? 'oncall function' : '.' + kind) + ' id "' + id + '" (first declared on line ' + declared[kind][id].line + ')', node, 'Rename one of them');
+        return;
+      }
+      declared[kind][id] = node;
+    };
+    walkNodes(doc.children, node => {
+      if (node.selector === 'define' && node.name) components.push(node.name);
+      if (node.selector === 'hide' || node.selector === 'placeholder' || node.selector === 'fetch') declare(node.selector, node.attrs.id, node);
+      if (node.selector === 'id' && findHandler(node, 'oncall')) declare('function', node.attrs.id || node.text, node);
+    });
+    walkNodes(doc.children, node => {
+      const selector = node.selector;
+      if (!(selector in SELECTORS) && !components.includes(selector) && !TinyMark.selectorFactories[selector]) {
+        const suggestion = suggestName(selector, Object.keys(SELECTORS).concat(components));
+        report('warning', 'Unknown selector .' + selector + ' renders as a plain <div>', node, suggestion ? 'Did you mean .' + suggestion + '?' : 'Define it with .define ' + selector);
+      }
+      if (selector in SELECTORS && !FREE_ATTRIBUTE_SELECTORS.includes(selector)) {
+        Object.keys(node.attrs).forEach(key => {
+          if (key === 'functionType' || key === 'functionBody') return;
+          const parts = key.split(':');
+          const name = parts.pop();
+          if (/^aria-[a-z]+$/.test(name) || !parts.every(isVariantPrefix)) return;
+          if (!parts.length && node.attrs[key] === '' && /^[-\d#.]/.test(name)) {
+            report('warning', 'Unexpected value ' + name + ' is ignored', node, 'Quote values that contain spaces, e.g. padding:"4px 8px"');
+          } else if (!knownAttributes.includes(name)) {
+            const suggestion = suggestName(name, knownAttributes);
+            report('warning', 'Unknown attribute ' + name + ' is ignored', node, suggestion ? 'Did you mean ' + parts.concat(suggestion).join(':') + ':?' : null);
+          } else if ((COLOR_ATTRIBUTES.includes(name) || LENGTH_ATTRIBUTES.includes(name)) && !isValidCssValue(name, node.attrs[key])) {
+            const unitless = /^-?[\d.]+$/.test(String(node.attrs[key]).trim());
+            report('warning', 'Invalid CSS value "' + node.attrs[key] + '" for ' + key, node, unitless ? 'Add a unit, e.g. ' + key + ':' + node.attrs[key].trim() + 'px' : null);
+          }
         });
       }
-      return;
-    }
-    const modalMatch = body.match(/tmk\s*:\s*modal\s*=\s*([^\s;]+)/);
-    if (modalMatch) {
-      const selector = modalMatch[1];
-      const el = document.querySelector(selector);
-      if (el) {
-        el.style.display = el.style.display === 'none' ? '' : 'none';
+      const bodies = (node.handlers || []).map(handler => handler.body).filter(Boolean);
+      if (typeof node.attrs.onclick === 'string') bodies.push(node.attrs.onclick);
+      bodies.forEach(body => {
+        references.push({ body, node });
+        if (/(^|[;\s(])js\s*:/.test(body)) {
+          report('warning', 'js: actions only run with allow-js and are blocked in CSP mode', node, 'Use a built-in action (set:, call:, emit:) or a plugin action');
+        }
+      });
+      if (selector === 'placeholder' && node.attrs.id && !declared.hide[node.attrs.id] && !TinyMark.hiddenBlocks[node.attrs.id]) {
+        report('warning', 'Placeholder "' + node.attrs.id + '" has no matching .hide block', node, 'Add .hide id:' + node.attrs.id + ' … .endhide');
       }
-      return;
-    }
-    if (body.includes(';')) {
-      const frag = renderTinyMarkFragment(body.replace(/;/g, '\n'), shadowRoot, allowJs);
-      if (shadowRoot) {
-        shadowRoot.appendChild(frag);
-      } else {
-        document.body.appendChild(frag);
+    });
+    const unresolved = new Set();
+    references.forEach(({ body, node }) => {
+      const blockPattern = /call\s*:\s*(?:hide|unhide|show|toggle|render|disappear)\s*:\s*([^\s;()]+)|(?:hide|unhide|show|toggle)\s*\(\s*hide\s*:\s*([^)]+)\)/g;
+      const functionPattern = /call\s*:\s*\(\s*id\s*:\s*([^)]+)\)/g;
+      let match;
+      while ((match = blockPattern.exec(body)) !== null) {
+        const id = (match[1] || match[2]).trim();
+        if (id.includes('#') || hasInterpolation(id) || declared.hide[id] || TinyMark.hiddenBlocks[id] || unresolved.has(node.line + ':hide:' + id)) continue;
+        unresolved.add(node.line + ':hide:' + id);
+        const suggestion = suggestName(id, Object.keys(declared.hide));
+        report('error', 'No .hide block with id "' + id + '"', node, suggestion ? 'Did you mean ' + suggestion + '?' : 'Add .hide id:' + id + ' … .endhide');
       }
-      return;
-    }
-    const lines = body.trim().split('\n');
-    if (lines.length > 1 || lines[0].startsWith('.')) {
-      const frag = renderTinyMarkFragment(body, shadowRoot, allowJs);
-      if (shadowRoot) {
-        shadowRoot.appendChild(frag);
-      } else {
-        document.body.appendChild(frag);
+      while ((match = functionPattern.exec(body)) !== null) {
+        const id = match[1].trim();
+        if (id.includes('#') || hasInterpolation(id) || declared.function[id] || TinyMark.idFunctions[id] || unresolved.has(node.line + ':function:' + id)) continue;
+        unresolved.add(node.line + ':function:' + id);
+        const suggestion = suggestName(id, Object.keys(declared.function));
+        report('error', 'No oncall function with id "' + id + '"', node, suggestion ? 'Did you mean ' + suggestion + '?' : 'Add .id "' + id + '" function:oncall(...)');
       }
-      return;
+    });
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    return diagnostics;
+  }
+
+  function notifyListeners(name, detail) {
+    (TinyMark.events[name] || []).slice().forEach(listener => {
+      try {
+        listener(detail);
+      } catch (err) {
+        console.error('[TinyMark] Error in ' + name + ' listener:', err);
+      }
+    });
+    scheduleDevtoolsRefresh();
+  }
+
+  function createContext(host, root, allowJs) {
+    return {
+      host: host || null,
+      root: root || null,
+      doc: hasDOM ? document : null,
+      server: false,
+      parsed: null,
+      allowJs: !!allowJs,
+      policy: createPolicy(TinyMark.policy, allowJs ? { allow: TinyMark.policy.allow.concat('js') } : null),
+      hiddenBlocks: {},
+      placeholders: {},
+      idFunctions: {},
+      components: {},
+      componentStack: [],
+      presets: {},
+      themeTokens: {},
+      messages: {},
+      locale: null,
+      pageNodes: [],
+      eventListeners: [],
+      watchers: [],
+      fetches: {},
+      fetchIds: [],
+      routePath: null,
+      routeBindings: [],
+      styleRules: new Map(),
+      rulesStyle: null,
+      rulesScheduled: false,
+      state: {},
+      bindings: []
+    };
+  }
+
+  function resetContext(ctx, keepBindings) {
+    ctx.hiddenBlocks = {};
+    ctx.idFunctions = {};
+    ctx.components = {};
+    ctx.componentStack = [];
+    ctx.presets = {};
+    ctx.themeTokens = {};
+    ctx.messages = {};
+    ctx.pageNodes = [];
+    ctx.fetchIds = [];
+    removeEventListeners(ctx);
+    if (!keepBindings) {
+      ctx.placeholders = {};
+      ctx.bindings = [];
+      ctx.routeBindings = [];
+      ctx.styleRules = new Map();
+      ctx.rulesStyle = null;
+      stopWatchers(ctx, true);
     }
-    if (body.startsWith('js:') && allowJs) {
+  }
+
+  function createPolicy(base, options) {
+    const policy = Object.assign({}, base);
+    if (!options) return policy;
+    if (options.allow) policy.allow = [].concat(options.allow).map(String);
+    if (options.schemes) policy.schemes = [].concat(options.schemes).map(scheme => String(scheme).toLowerCase().replace(/:?$/, ':'));
+    if (options.origins) policy.origins = [].concat(options.origins).map(origin => String(origin).toLowerCase().replace(/\/+$/, ''));
+    if (options.csp !== undefined) policy.csp = !!options.csp;
+    if (options.nonce !== undefined) policy.nonce = String(options.nonce);
+    return policy;
+  }
+
+  function parsePolicyAttribute(value) {
+    if (value === null || value === undefined) return null;
+    if (/^\s*\{/.test(value)) {
       try {
-        const code = body.substring(3).trim();
-        const func = new Function(code);
-        func();
+        return JSON.parse(value);
       } catch (err) {
-        console.error('[TinyMark] Error executing js:', err);
+        console.warn('[TinyMark] Invalid policy attribute:', value);
+        return { allow: [] };
       }
-      return;
     }
-    console.warn('[TinyMark] Unable to parse function body:', body);
+    const allow = value.split(/[\s,]+/).filter(Boolean);
+    return { allow: allow.filter(name => name !== 'csp'), csp: allow.includes('csp') };
   }
 
-  function applyStyles(el, attrs, selector) {
-    const styles = {};
-    if (attrs.color) styles.color = attrs.color;
-    if (attrs.bg) styles.backgroundColor = attrs.bg;
-    if (attrs['color-bg']) {
+  function hasCapability(ctx, capability) {
+    return ctx.policy.allow.includes(capability);
+  }
+
+  function checkCapability(ctx, capability, detail) {
+    if (hasCapability(ctx, capability)) return true;
+    console.warn('[TinyMark] Blocked by policy (' + capability + '):', detail);
+    return false;
+  }
+
+  function canRunJs(ctx) {
+    if (!hasCapability(ctx, 'js')) {
+      console.warn('[TinyMark] js: handler blocked. Add allow-js attribute to enable.');
+      return false;
+    }
+    if (ctx.policy.csp) {
+      console.warn('[TinyMark] js: handlers are disabled in CSP mode');
+      return false;
+    }
+    return true;
+  }
+
+  function sanitizeUrl(ctx, value, name) {
+    const url = String(value).trim();
+    const compact = url.replace(/[\u0000-\u0020\u007f]/g, '');
+    const base = hasDOM ? document.baseURI : 'https://localhost/';
+    let parsed = null;
+    try {
+      parsed = new URL(compact, base);
+    } catch (err) {
+      parsed = null;
+    }
+    if (parsed && !/^[a-z][a-z0-9+.-]*:/i.test(compact) && parsed.origin === new URL(base).origin) return url;
+    const policy = ctx.policy;
+    const sameOrigin = parsed && hasDOM && parsed.origin === window.location.origin;
+    const image = name === 'src' && /^data:image\//i.test(compact);
+    const allowed = parsed && (image || policy.schemes.includes(parsed.protocol)) &&
+      (!policy.origins.length || !/^https?:$/.test(parsed.protocol) || sameOrigin || policy.origins.includes(parsed.origin));
+    if (!allowed) {
+      console.warn('[TinyMark] Blocked URL:', url);
+      return '';
+    }
+    return url;
+  }
+
+  function findTarget(ctx, selector) {
+    const local = ctx.root ? ctx.root.querySelector(selector) : null;
+    if (local || !checkCapability(ctx, 'host-dom', selector)) return local;
+    return document.querySelector(selector);
+  }
+
+  function parseStateValue(raw) {
+    if (typeof raw !== 'string') return raw;
+    const value = raw.trim();
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null') return null;
+    if (value !== '' && !isNaN(Number(value))) return Number(value);
+    if (/^[\[{]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return raw;
+      }
+    }
+    return raw;
+  }
+
+  function resolvePath(source, path) {
+    return path.split('.').reduce((value, key) => {
+      return value === undefined || value === null ? undefined : value[key];
+    }, source);
+  }
+
+  function getStateValue(ctx, path) {
+    return ctx ? resolvePath(ctx.state, path) : undefined;
+  }
+
+  function lookupValue(ctx, scope, path) {
+    const root = path.split('.')[0];
+    if (scope && root in scope) {
+      return resolvePath(scope, path);
+    }
+    const fetchMatch = ctx ? path.match(/^([\w-]+)\.\$(status|error)$/) : null;
+    if (fetchMatch && ctx.fetches[fetchMatch[1]]) {
+      const request = ctx.fetches[fetchMatch[1]];
+      return fetchMatch[2] === 'status' ? request.status : (request.error ? request.error.message : null);
+    }
+    if (ctx && root in ctx.state) {
+      return getStateValue(ctx, path);
+    }
+    return resolvePath(TinyMark.data, path);
+  }
+
+  function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  function hasInterpolation(value) {
+    return typeof value === 'string' && value.indexOf('{{') !== -1;
+  }
+
+  function interpolate(template, ctx, scope) {
+    if (!hasInterpolation(template)) return template;
+    return template.replace(/\{\{\s*([\w$.-]+)\s*\}\}/g, (match, path) => formatValue(lookupValue(ctx, scope, path)));
+  }
+
+  function collectDependencies(values) {
+    const deps = new Set();
+    for (const value of values) {
+      if (!hasInterpolation(value)) continue;
+      const regex = /\{\{\s*([\w$-]+)[\w$.-]*\s*\}\}/g;
+      let match;
+      while ((match = regex.exec(value)) !== null) {
+        deps.add(match[1]);
+      }
+    }
+    return deps;
+  }
+
+  function resolveAttrs(attrs, ctx, scope) {
+    const resolved = {};
+    const merged = attrs.use && ctx ? Object.assign({}, ...attrs.use.split(',').map(name => getPreset(ctx, name.trim())), attrs) : attrs;
+    for (const key in merged) {
+      resolved[key] = key === 'functionBody' ? merged[key] : interpolate(merged[key], ctx, scope);
+    }
+    return resolved;
+  }
+
+  function getPreset(ctx, name) {
+    if (!ctx.presets[name]) {
+      console.warn('[TinyMark] Unknown style preset:', name);
+      return {};
+    }
+    return ctx.presets[name];
+  }
+
+  function registerPreset(ctx, attrs) {
+    const preset = Object.assign({}, attrs);
+    delete preset.name;
+    if (!attrs.name) {
+      console.warn('[TinyMark] .style needs a name: attribute');
+      return;
+    }
+    ctx.presets[attrs.name] = preset;
+  }
+
+  function registerThemeTokens(ctx, attrs) {
+    const tokens = Object.assign({}, attrs);
+    delete tokens.name;
+    const name = attrs.name || '*';
+    ctx.themeTokens[name] = Object.assign(ctx.themeTokens[name] || {}, tokens);
+  }
+
+  function resolveTokens(value) {
+    if (typeof value !== 'string' || !value.includes('$')) return value;
+    return value.replace(/\$([a-zA-Z][\w-]*)/g, (match, name) => {
+      const fallback = TinyMark.themes.light[name];
+      return 'var(--tmk-' + name + (fallback !== undefined ? ', ' + resolveTokens(fallback) : '') + ')';
+    });
+  }
+
+  function getThemeName(ctx) {
+    return (ctx.host && ctx.host.getAttribute('theme')) || TinyMark.theme;
+  }
+
+  function getThemeTokens(ctx, name) {
+    return Object.assign({}, TinyMark.themes.light, TinyMark.themes[name], ctx.themeTokens['*'], ctx.themeTokens[name]);
+  }
+
+  function declareTokens(ctx, tokens) {
+    return Object.keys(tokens)
+      .filter(name => /^[\w-]+$/.test(name) && isSafeCssValue(ctx, name, tokens[name]))
+      .map(name => '--tmk-' + name + ': ' + tokens[name] + ';').join(' ');
+  }
+
+  function buildThemeStyles(ctx) {
+    const name = getThemeName(ctx);
+    if (name === 'auto') {
+      return ':host { ' + declareTokens(ctx, getThemeTokens(ctx, 'light')) + ' }\n' +
+        '@media (prefers-color-scheme: dark) { :host { ' + declareTokens(ctx, getThemeTokens(ctx, 'dark')) + ' } }';
+    }
+    if (!TinyMark.themes[name] && !ctx.themeTokens[name]) {
+      console.warn('[TinyMark] Unknown theme:', name);
+    }
+    return ':host { ' + declareTokens(ctx, getThemeTokens(ctx, name)) + ' }';
+  }
+
+  function getLocale(ctx) {
+    return (ctx && (ctx.locale || (ctx.host && ctx.host.getAttribute('lang')))) || TinyMark.locale;
+  }
+
+  function isRtlLocale(locale) {
+    return RTL_LANGUAGES.includes(String(locale).split('-')[0].toLowerCase());
+  }
+
+  function flattenMessages(messages, prefix, out) {
+    Object.keys(messages || {}).forEach(key => {
+      const value = messages[key];
+      if (value && typeof value === 'object') {
+        flattenMessages(value, prefix + key + '.', out);
+      } else {
+        out[prefix + key] = String(value);
+      }
+    });
+    return out;
+  }
+
+  function addMessages(catalogs, locale, messages) {
+    catalogs[locale] = Object.assign(catalogs[locale] || {}, flattenMessages(messages, '', {}));
+  }
+
+  function registerMessages(ctx, attrs) {
+    const messages = Object.assign({}, attrs);
+    const locale = messages.locale || TinyMark.fallbackLocale;
+    delete messages.locale;
+    delete messages.src;
+    addMessages(ctx.messages, locale, messages);
+    if (attrs.src && !ctx.server && checkCapability(ctx, 'fetch', '.messages src:')) {
+      try {
+        loadMessages(locale, resolveRequestUrl(ctx, attrs.src).href);
+      } catch (err) {
+        console.error('[TinyMark] Error loading messages:', attrs.src, err.message);
+      }
+    }
+  }
+
+  function loadMessages(locale, url) {
+    if (!TinyMark.catalogs.has(url)) {
+      TinyMark.pendingCatalogs++;
+      const request = fetchSource(url, { retries: 0, retryDelay: 0, timeout: 10000, cache: 'memory' })
+        .then(text => {
+          addMessages(TinyMark.messages, locale, JSON.parse(text));
+          console.log('[TinyMark] Loaded messages for', locale + ':', url);
+        })
+        .catch(err => console.error('[TinyMark] Error loading messages:', url, err))
+        .then(() => {
+          TinyMark.pendingCatalogs--;
+          refreshLocales();
+        });
+      TinyMark.catalogs.set(url, request);
+    }
+    return TinyMark.catalogs.get(url);
+  }
+
+  function refreshLocales() {
+    TinyMark.instances.forEach(ctx => {
+      if (ctx.host && ctx.host.isConnected) ctx.host.applyLocale();
+    });
+  }
+
+  function getLocaleChain(locale) {
+    const chain = [locale, locale.split('-')[0], TinyMark.fallbackLocale, TinyMark.fallbackLocale.split('-')[0]];
+    return chain.filter((entry, index) => chain.indexOf(entry) === index);
+  }
+
+  function getPluralCategory(locale, count) {
+    try {
+      return new Intl.PluralRules(locale).select(count);
+    } catch (err) {
+      return count === 1 ? 'one' : 'other';
+    }
+  }
+
+  function findMessage(ctx, locale, key, count) {
+    const candidates = [];
+    if (count !== undefined) {
+      if (count === 0) candidates.push(key + '.zero');
+      candidates.push(key + '.' + getPluralCategory(locale, count), key + '.other');
+    }
+    candidates.push(key);
+    for (const name of candidates) {
+      for (const catalog of [ctx && ctx.messages[locale], TinyMark.messages[locale]]) {
+        if (catalog && catalog[name] !== undefined) return catalog[name];
+      }
+    }
+    return undefined;
+  }
+
+  function parseMessageParams(text) {
+    const params = {};
+    (text || '').split(',').forEach(part => {
+      const colonIndex = part.indexOf(':');
+      if (colonIndex === -1) return;
+      params[part.substring(0, colonIndex).trim()] = parseStateValue(part.substring(colonIndex + 1).trim());
+    });
+    return params;
+  }
+
+  function formatIntl(value, type, option, locale) {
+    try {
+      if (type === 'number') return new Intl.NumberFormat(locale, option ? { maximumFractionDigits: Number(option) } : {}).format(value);
+      if (type === 'percent') return new Intl.NumberFormat(locale, { style: 'percent' }).format(value);
+      if (type === 'currency') return new Intl.NumberFormat(locale, { style: 'currency', currency: option || 'USD' }).format(value);
+      if (type === 'date') return new Intl.DateTimeFormat(locale, { dateStyle: option || 'medium' }).format(new Date(value));
+      if (type === 'time') return new Intl.DateTimeFormat(locale, { timeStyle: option || 'short' }).format(new Date(value));
+      if (type === 'datetime') return new Intl.DateTimeFormat(locale, { dateStyle: option || 'medium', timeStyle: 'short' }).format(new Date(value));
+    } catch (err) {
+      console.warn('[TinyMark] Unable to format', value, 'as', type + ':', err.message);
+    }
+    return formatValue(value);
+  }
+
+  function translate(ctx, ref, params) {
+    const found = findTranslation(ctx, ref, params);
+    return found.fill(found.message);
+  }
+
+  function findTranslation(ctx, ref, params) {
+    const refMatch = String(ref).match(/^([^(]+?)\s*(?:\(([\s\S]*)\))?$/);
+    const key = refMatch ? refMatch[1].trim() : String(ref);
+    params = Object.assign(parseMessageParams(refMatch && refMatch[2]), params);
+    const locale = getLocale(ctx);
+    const count = typeof params.count === 'number' ? params.count : undefined;
+    let message;
+    let used = null;
+    for (const candidate of getLocaleChain(locale)) {
+      message = findMessage(ctx, candidate, key, count);
+      if (message !== undefined) {
+        used = candidate;
+        break;
+      }
+    }
+    if (used !== locale && used !== locale.split('-')[0] && !TinyMark.pendingCatalogs && !TinyMark.missingMessages.has(locale + ':' + key)) {
+      TinyMark.missingMessages.add(locale + ':' + key);
+      console.warn('[TinyMark] Missing message "' + key + '" for locale ' + locale + (used ? '; using ' + used : ''));
+    }
+    if (message === undefined) return { message: key, fill: text => text };
+    const fill = text => text.replace(/\{\s*([\w.]+)\s*(?:,\s*(\w+)(?::([^}]*))?\s*)?\}/g, (match, name, type, option) => {
+      const value = resolvePath(params, name);
+      if (value === undefined) return match;
+      return type ? formatIntl(value, type, option && option.trim(), locale) : formatValue(value);
+    });
+    return { message, fill };
+  }
+
+  function addBinding(ctx, el, values, update) {
+    const deps = collectDependencies(values);
+    if (deps.size === 0 || !ctx) return;
+    ctx.bindings.push({ el, deps, update });
+  }
+
+  function declareState(ctx, attrs) {
+    for (const key in attrs) {
+      if (key in ctx.state) continue;
+      ctx.state[key] = parseStateValue(attrs[key]);
+      logDebug('[TinyMark] Declared state:', key);
+    }
+  }
+
+  function assignState(ctx, key, value) {
+    const path = String(key).split('.');
+    let target = ctx.state;
+    for (let k = 0; k < path.length - 1; k++) {
+      if (typeof target[path[k]] !== 'object' || target[path[k]] === null) target[path[k]] = {};
+      target = target[path[k]];
+    }
+    target[path[path.length - 1]] = value;
+    return path[0];
+  }
+
+  function setState(ctx, key, value) {
+    notifyBindings(ctx, assignState(ctx, key, value));
+  }
+
+  function notifyBindings(ctx, key) {
+    ctx.bindings = ctx.bindings.filter(binding => binding.el.isConnected);
+    for (const binding of ctx.bindings.slice()) {
+      if (binding.deps.has(key)) binding.update();
+    }
+  }
+
+  function setData(id, value) {
+    TinyMark.data[id] = value;
+    for (const ctx of TinyMark.instances) {
+      notifyBindings(ctx, id);
+    }
+  }
+
+  function executeStateAction(action, key, rawValue, ctx, scope) {
+    if (action === 'set') {
+      const value = rawValue === undefined ? '' : rawValue.replace(/^"(.*)"$/, '$1');
+      setState(ctx, key, parseStateValue(interpolate(value, ctx, scope)));
+    } else {
+      const step = rawValue === undefined ? 1 : Number(interpolate(rawValue, ctx, scope)) || 0;
+      const current = Number(getStateValue(ctx, key)) || 0;
+      setState(ctx, key, action === 'inc' ? current + step : current - step);
+    }
+    logDebug('[TinyMark] State updated:', key, getStateValue(ctx, key));
+  }
+
+  function registerHideBlock(ctx, id, body) {
+    if (!id) return;
+    const registry = ctx ? ctx.hiddenBlocks : TinyMark.hiddenBlocks;
+    registry[String(id)] = body;
+    logDebug('[TinyMark] Registered hide block:', id);
+  }
+
+  function registerIdFunction(ctx, id, bodyText) {
+    if (!id) return;
+    const registry = ctx ? ctx.idFunctions : TinyMark.idFunctions;
+    registry[String(id)] = { type: 'oncall', body: bodyText };
+    logDebug('[TinyMark] Registered oncall function:', id);
+  }
+
+  function findInstance(name) {
+    const host = hasDOM ? document.getElementById(name) : null;
+    if (host && host.tmk) {
+      return host.tmk;
+    }
+    for (const ctx of TinyMark.instances) {
+      if (ctx.host && ctx.host.getAttribute('name') === name) return ctx;
+    }
+    return null;
+  }
+
+  function getInstanceContext(instance) {
+    if (instance && instance.tmk) {
+      return instance.tmk;
+    }
+    if (typeof instance === 'string' && hasDOM) {
+      const ctx = findInstance(instance);
+      if (ctx) return ctx;
+      const host = document.querySelector(instance);
+      if (host && host.tmk) return host.tmk;
+    }
+    console.warn('[TinyMark] No <tiny-mark> instance found for:', instance);
+    return null;
+  }
+
+  function resolveReference(ctx, ref, registryName) {
+    ref = String(ref).trim();
+    const hashIndex = ref.indexOf('#');
+    if (hashIndex > 0) {
+      const target = findInstance(ref.substring(0, hashIndex));
+      if (!target) {
+        console.warn('[TinyMark] No <tiny-mark> found for reference:', ref);
+        return null;
+      }
+      return { ctx: target, id: ref.substring(hashIndex + 1) };
+    }
+    if (ctx) {
+      return { ctx, id: ref };
+    }
+    for (const instance of TinyMark.instances) {
+      if (instance[registryName][ref]) return { ctx: instance, id: ref };
+    }
+    if (registryName === 'hiddenBlocks') {
+      for (const instance of TinyMark.instances) {
+        if (findPlaceholder(instance, ref)) return { ctx: instance, id: ref };
+      }
+    }
+    return { ctx: null, id: ref };
+  }
+
+  function findPlaceholder(ctx, id) {
+    const key = String(id);
+    if (ctx.placeholders[key]) {
+      return ctx.placeholders[key];
+    }
+    const node = ctx.root ? ctx.root.querySelector('[data-tmk-id="' + key.replace(/["\\]/g, '\\$&') + '"]') : null;
+    if (node) ctx.placeholders[key] = node;
+    return node;
+  }
+
+  function prunePlaceholders(ctx) {
+    Object.keys(ctx.placeholders).forEach(id => {
+      if (!ctx.placeholders[id].isConnected) delete ctx.placeholders[id];
+    });
+  }
+
+  function getOrCreatePlaceholder(ctx, id) {
+    const key = String(id);
+    let node = findPlaceholder(ctx, key);
+    if (node) {
+      return node;
+    }
+    node = ctx.doc.createElement('section');
+    preparePlaceholder(node, key);
+    if (ctx.root) {
+      ctx.root.appendChild(node);
+    }
+    ctx.placeholders[key] = node;
+    return node;
+  }
+
+  function preparePlaceholder(el, id) {
+    el.setAttribute('data-tmk-id', id);
+    el.setAttribute('id', 'tmk-' + id);
+    el.setAttribute('aria-live', 'polite');
+    el.style.display = 'none';
+  }
+
+  function updateExpanded(ctx, id, expanded) {
+    if (!ctx.root || !ctx.root.querySelectorAll) return;
+    ctx.root.querySelectorAll('[aria-controls="tmk-' + id + '"][aria-expanded]').forEach(el => {
+      el.setAttribute('aria-expanded', String(expanded));
+    });
+  }
+
+  function focusShownBlock(ctx, placeholder) {
+    const active = ctx.root && ctx.root.activeElement;
+    if (!active || placeholder.contains(active)) return;
+    placeholder.tmkOpener = active;
+    const target = placeholder.querySelector(FOCUSABLE_SELECTOR);
+    if (target) {
+      target.focus();
+    } else {
+      placeholder.setAttribute('tabindex', '-1');
+      placeholder.focus();
+    }
+  }
+
+  function restoreFocus(ctx, placeholder) {
+    const active = ctx.root && ctx.root.activeElement;
+    const opener = placeholder.tmkOpener;
+    placeholder.tmkOpener = null;
+    if (active && placeholder.contains(active) && opener && opener.isConnected) {
+      opener.focus();
+    }
+  }
+
+  function renderTinyMarkFragment(body, ctx) {
+    const fragment = ctx.doc.createDocumentFragment();
+    const parsed = typeof body === 'string' ? parseDocument(body).children : body;
+    for (const item of parsed) {
+      const el = createElementFromParsed(item, ctx);
+      if (el) fragment.appendChild(el);
+    }
+    return fragment;
+  }
+
+  function appendToContext(ctx, fragment) {
+    if (ctx.root) {
+      ctx.root.appendChild(fragment);
+    } else {
+      document.body.appendChild(fragment);
+    }
+  }
+
+  function executeCallAction(action, ref, ctx) {
+    const target = resolveReference(ctx, ref, 'hiddenBlocks');
+    if (!target) return;
+    const id = target.id;
+    if (!target.ctx) {
+      console.warn('[TinyMark] No <tiny-mark> has a placeholder for id:', id);
+      return;
+    }
+    ctx = target.ctx;
+    const placeholder = getOrCreatePlaceholder(ctx, id);
+    const body = ctx.hiddenBlocks[id] || TinyMark.hiddenBlocks[id];
+    if (action === 'show' || action === 'unhide' || action === 'render') {
+      if (!body) {
+        console.warn('[TinyMark] No hide block found for id:', id);
+        return;
+      }
+      const frag = renderTinyMarkFragment(body, ctx);
+      cancelExit(placeholder);
+      placeholder.tmkHidden = false;
+      placeholder.innerHTML = '';
+      placeholder.appendChild(frag);
+      placeholder.style.display = '';
+      playAnimation(placeholder, placeholder.tmkAnimation);
+      updateExpanded(ctx, id, true);
+      if (!ctx.server) focusShownBlock(ctx, placeholder);
+      if (ctx.host && ctx.host.hasAttribute('a11y')) checkAccessibility(ctx, placeholder);
+      console.log('[TinyMark] Showed block:', id);
+      notifyListeners('show', { id, instance: ctx.host });
+      return;
+    }
+    if (action === 'hide' || action === 'disappear') {
+      placeholder.tmkHidden = true;
+      updateExpanded(ctx, id, false);
+      if (!ctx.server) restoreFocus(ctx, placeholder);
+      animateOut(placeholder, placeholder.innerHTML ? placeholder.tmkExitAnimation : null, () => {
+        placeholder.innerHTML = '';
+        placeholder.style.display = 'none';
+      });
+      console.log('[TinyMark] Hid block:', id);
+      notifyListeners('hide', { id, instance: ctx.host });
+      return;
+    }
+    if (action === 'toggle') {
+      if (placeholder.tmkHidden || placeholder.style.display === 'none' || !placeholder.innerHTML) {
+        executeCallAction('unhide', id, ctx);
+      } else {
+        executeCallAction('hide', id, ctx);
+      }
+      return;
+    }
+    console.warn('[TinyMark] Unknown call action:', action);
+  }
+
+  function executeIdFunction(ref, ctx) {
+    const target = resolveReference(ctx, ref, 'idFunctions');
+    if (!target) return;
+    const id = target.id;
+    ctx = target.ctx || createContext(null, null, false);
+    const func = ctx.idFunctions[id] || TinyMark.idFunctions[id];
+    if (!func) {
+      console.warn('[TinyMark] No function registered for id:', id);
+      return;
+    }
+    console.log('[TinyMark] Executing function:', id, func);
+    notifyListeners('call', { id, instance: ctx.host });
+    if (func.type === 'oncall') {
+      parseFunctionBody(func.body, ctx);
+    }
+  }
+
+  function splitActions(body) {
+    const steps = [];
+    let start = 0;
+    let depth = 0;
+    let inQuote = false;
+    for (let i = 0; i <= body.length; i++) {
+      const ch = body[i];
+      if (i < body.length) {
+        if (inQuote) {
+          if (ch === '\\') i++;
+          else if (ch === '"') inQuote = false;
+          continue;
+        }
+        if (ch === '"') inQuote = true;
+        else if (ch === '(') depth++;
+        else if (ch === ')') depth = Math.max(0, depth - 1);
+        if (depth > 0 || (ch !== ';' && ch !== '\n')) continue;
+      }
+      const step = body.substring(start, i);
+      if (/^\s*js:/.test(step)) {
+        steps.push(body.substring(start));
+        break;
+      }
+      if (step.trim()) steps.push(step);
+      start = i + 1;
+    }
+    return steps;
+  }
+
+  async function parseFunctionBody(body, ctx, scope) {
+    const steps = splitActions(body);
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i].trim();
+      logAction(ctx, step);
+      const waitMatch = step.match(/^wait\s*:\s*(\S+)$/);
+      if (waitMatch) {
+        await delay(parseDuration(waitMatch[1], 0));
+        continue;
+      }
+      try {
+        if (step.startsWith('.')) {
+          let markup = steps[i];
+          while (i + 1 < steps.length && steps[i + 1].trim().startsWith('.')) {
+            markup += '\n' + steps[++i];
+          }
+          appendToContext(ctx, renderTinyMarkFragment(markup, ctx));
+          continue;
+        }
+        executeAction(step, ctx, scope);
+      } catch (err) {
+        console.error('[TinyMark] Error running action:', step, err.message);
+      }
+    }
+  }
+
+  function executeAction(body, ctx, scope) {
+    const callIdMatch = body.match(/call\s*:\s*\(\s*id\s*:\s*([^)]+)\)/);
+    if (callIdMatch) {
+      executeIdFunction(callIdMatch[1].trim(), ctx);
+      return;
+    }
+    const emitMatch = body.match(/\bemit\s*:\s*([\w:.-]+)(?:\s*\(([\s\S]*)\))?/);
+    if (emitMatch) {
+      const payload = emitMatch[2] === undefined ? null : interpolate(emitMatch[2].trim().replace(/^"(.*)"$/, '$1'), ctx, scope);
+      emitEvent(ctx, emitMatch[1], parseStateValue(payload));
+      return;
+    }
+    const callMatch = body.match(/(hide|unhide|show|toggle)\s*\(\s*hide\s*:\s*([^)]+)\)/);
+    if (callMatch) {
+      const action = callMatch[1];
+      const targetId = callMatch[2].trim();
+      executeCallAction(action, targetId, ctx);
+      return;
+    }
+    const simpleCallMatch = body.match(/call\s*:\s*(hide|unhide|show|toggle)\s*:\s*([^\s)]+)/);
+    if (simpleCallMatch) {
+      const action = simpleCallMatch[1];
+      const targetId = simpleCallMatch[2].trim();
+      executeCallAction(action, targetId, ctx);
+      return;
+    }
+    const stateMatch = body.match(/\b(set|inc|dec)\s*:\s*([\w$.-]+)(?:\s*=\s*("[^"]*"|[^\s;)]+))?/);
+    if (stateMatch) {
+      executeStateAction(stateMatch[1], stateMatch[2], stateMatch[3], ctx, scope);
+      return;
+    }
+    const submitMatch = body.match(/\bsubmit\s*:\s*([\w$-]+)/);
+    if (submitMatch) {
+      requestFormSubmit(submitMatch[1], ctx);
+      return;
+    }
+    const refetchMatch = body.match(/\brefetch\s*:\s*([\w$#-]+)/);
+    if (refetchMatch) {
+      refetch(refetchMatch[1], ctx);
+      return;
+    }
+    const postMatch = body.match(/tmk\s*:\s*post\s*=\s*([^\s;)]+)/);
+    if (postMatch) {
+      if (!checkCapability(ctx, 'fetch', 'tmk:post')) return;
+      try {
+        const url = resolveRequestUrl(ctx, interpolate(postMatch[1], ctx, scope));
+        postPayload(url.href, scope && scope.form ? scope.form : ctx.state);
+      } catch (err) {
+        console.error('[TinyMark] Error posting payload:', err.message);
+      }
+      return;
+    }
+    const goMatch = body.match(/tmk\s*:\s*go\s*=\s*([^\s;)]+)/);
+    if (goMatch) {
+      navigate(interpolate(goMatch[1], ctx, scope));
+      return;
+    }
+    const navMatch = body.match(/tmk\s*:\s*nav\s*=\s*([^\s;]+)/);
+    if (navMatch) {
+      const url = checkCapability(ctx, 'nav', 'tmk:nav') ? sanitizeUrl(ctx, navMatch[1]) : '';
+      if (url) window.location.href = url;
+      return;
+    }
+    const copyMatch = body.match(/tmk\s*:\s*copy\s*=\s*([^\s;]+)/);
+    if (copyMatch) {
+      const selector = copyMatch[1];
+      const el = checkCapability(ctx, 'clipboard', 'tmk:copy') ? findTarget(ctx, selector) : null;
+      if (el) {
+        navigator.clipboard.writeText(el.textContent || '').then(() => {
+          console.log('[TinyMark] Copied to clipboard');
+        });
+      }
+      return;
+    }
+    const modalMatch = body.match(/tmk\s*:\s*modal\s*=\s*([^\s;]+)/);
+    if (modalMatch) {
+      const selector = modalMatch[1];
+      const el = findTarget(ctx, selector);
+      if (el) {
+        el.style.display = el.style.display === 'none' ? '' : 'none';
+      }
+      return;
+    }
+    const pluginMatch = body.match(/tmk\s*:\s*([\w-]+)(?:\s*=\s*("[^"]*"|[^\s;)]+))?/);
+    if (pluginMatch && TinyMark.actions[pluginMatch[1]]) {
+      const arg = pluginMatch[2] ? interpolate(pluginMatch[2].replace(/^"|"$/g, ''), ctx, scope) : '';
+      executePluginAction(pluginMatch[1], arg, ctx, scope);
+      return;
+    }
+    if (body.startsWith('js:')) {
+      if (!canRunJs(ctx)) return;
+      try {
+        const code = body.substring(3).trim();
+        const func = new Function(code);
+        func();
+      } catch (err) {
+        console.error('[TinyMark] Error executing js:', err);
+      }
+      return;
+    }
+    console.warn('[TinyMark] Unable to parse function body:', body);
+  }
+
+  function mapStyles(attrs, selector) {
+    const styles = {};
+    if (attrs.color) styles.color = attrs.color;
+    if (attrs.bg) styles.background = attrs.bg;
+    if (attrs['color-bg']) {
       styles.color = attrs['color-bg'].split(',')[0] || attrs['color-bg'];
       styles.backgroundColor = attrs['color-bg'].split(',')[1] || attrs['color-bg'];
     }
-    if (attrs.size) styles.fontSize = attrs.size;
-    if (attrs.family) styles.fontFamily = attrs.family;
-    if (attrs.align) styles.textAlign = attrs.align;
-    if (attrs.padding) styles.padding = attrs.padding;
-    if (attrs.margin) styles.margin = attrs.margin;
-    if (attrs.radius) styles.borderRadius = attrs.radius;
-    if (attrs.shadow) styles.boxShadow = attrs.shadow;
-    if (attrs.width) styles.width = attrs.width;
-    if (attrs.height) styles.height = attrs.height;
-    if (attrs.display) styles.display = attrs.display;
-    if (selector === 'row') {
-      styles.display = 'flex';
-      styles.flexDirection = 'row';
-      styles.gap = attrs.gap || '16px';
+    if (attrs.size) styles.fontSize = attrs.size;
+    if (attrs.family) styles.fontFamily = attrs.family;
+    if (attrs.align) styles.textAlign = attrs.align;
+    if (attrs.padding) styles.padding = attrs.padding;
+    if (attrs.margin) styles.margin = attrs.margin;
+    if (attrs.radius) styles.borderRadius = attrs.radius;
+    if (attrs.shadow) styles.boxShadow = attrs.shadow;
+    if (attrs.width) styles.width = attrs.width;
+    if (attrs.height) styles.height = attrs.height;
+    if (attrs.display) styles.display = attrs.display;
+    if (attrs.duration) styles['--tmk-duration'] = attrs.duration;
+    if (attrs.delay) styles['--tmk-delay'] = attrs.delay;
+    if (attrs.easing) styles['--tmk-easing'] = attrs.easing;
+    if (attrs.direction) styles.flexDirection = attrs.direction;
+    if (attrs.wrap !== undefined) styles.flexWrap = attrs.wrap || 'wrap';
+    if (selector === 'row') {
+      styles.display = 'flex';
+      styles.flexDirection = attrs.direction || 'row';
+      styles.gap = attrs.gap || '$space-4';
+    }
+    if (selector === 'col') {
+      styles.display = 'flex';
+      styles.flexDirection = attrs.direction || 'column';
+      styles.gap = attrs.gap || '$space-4';
+      styles.flex = attrs.flex || '1';
+    }
+    if (selector === 'card') {
+      styles.padding = attrs.padding || '$space-5';
+      styles.borderRadius = attrs.radius || '$radius-md';
+      styles.boxShadow = attrs.shadow || '$shadow';
+      styles.backgroundColor = attrs.bg || '$surface';
+      styles.color = attrs.color || '$text';
+    }
+    if (selector === 'divider') {
+      styles.border = 'none';
+      styles.borderTop = attrs.border || '1px solid $border';
+      styles.margin = attrs.margin || '20px 0';
+    }
+    if (selector === 'btn' || selector === 'button') {
+      const btnStyle = attrs.style || 'modern';
+      const baseStyle = BUTTON_STYLES[btnStyle] || BUTTON_STYLES.modern;
+      Object.assign(styles, baseStyle);
+    }
+    TinyMark.styleMappers.forEach(mapper => {
+      try {
+        mapper(attrs, styles, selector);
+      } catch (err) {
+        console.error('[TinyMark] Style mapper failed:', err);
+      }
+    });
+    return styles;
+  }
+
+  function collectVariants(attrs) {
+    const variants = {};
+    const addVariant = (parts, prop, value) => {
+      const media = parts.filter(part => part in BREAKPOINTS);
+      const id = parts.join(':');
+      if (!variants[id]) {
+        variants[id] = {
+          media: media.map(part => BREAKPOINTS[part]).join(' and '),
+          rank: Math.max(-1, ...media.map(part => Object.keys(BREAKPOINTS).indexOf(part))),
+          pseudo: parts.filter(part => part in STATE_VARIANTS).map(part => STATE_VARIANTS[part]).join(''),
+          attrs: {}
+        };
+      }
+      variants[id].attrs[prop] = value;
+    };
+    Object.keys(attrs).forEach(key => {
+      const parts = key.split(':');
+      const prop = parts.pop();
+      if (parts.length && parts.every(isVariantPrefix)) addVariant(parts, prop, attrs[key]);
+    });
+    if (attrs['hide-on']) {
+      attrs['hide-on'].split(',').map(name => name.trim()).forEach(name => {
+        if (name in BREAKPOINTS) {
+          addVariant([name], 'display', 'none');
+        } else {
+          console.warn('[TinyMark] Unknown breakpoint in hide-on:', name);
+        }
+      });
+    }
+    return Object.keys(variants).map(id => variants[id]);
+  }
+
+  function isSafeCssUrl(ctx, value) {
+    const url = value.includes('\\') ? '' : sanitizeUrl(ctx, value, 'src');
+    if (!url) return false;
+    const base = hasDOM ? document.baseURI : 'https://localhost/';
+    try {
+      const parsed = new URL(url.replace(/[\u0000-\u0020\u007f]/g, ''), base);
+      return !/^https?:$/.test(parsed.protocol) || parsed.origin === new URL(base).origin || isAllowedUrl(parsed);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function isSafeCssValue(ctx, name, value) {
+    const text = String(value);
+    const urls = [];
+    text.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => urls.push(url));
+    if (!/[<{};]/.test(text) && urls.every(url => isSafeCssUrl(ctx, url))) return true;
+    console.warn('[TinyMark] Ignored unsafe CSS value for ' + name + ':', value);
+    return false;
+  }
+
+  function declareStyles(ctx, styles) {
+    return Object.keys(styles)
+      .filter(key => isSafeCssValue(ctx, key, styles[key]))
+      .map(key => toKebabCase(key) + ': ' + resolveTokens(styles[key]) + ';').join(' ');
+  }
+
+  function escapeStyleText(css) {
+    return css.replace(/<\/(style)/gi, '<\\/$1');
+  }
+
+  function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  function registerStyleClass(ctx, blocks) {
+    blocks = blocks.filter(block => block.body);
+    if (!blocks.length) return null;
+    const className = 'tmk-' + hashString(JSON.stringify(blocks));
+    if (!ctx.styleRules.has(className)) {
+      ctx.styleRules.set(className, blocks);
+      if (ctx.rulesStyle && !ctx.rulesScheduled) {
+        ctx.rulesScheduled = true;
+        queueMicrotask(() => flushStyleRules(ctx));
+      }
+    }
+    return className;
+  }
+
+  function buildStyleRules(ctx) {
+    const base = [];
+    const states = [];
+    const media = [];
+    ctx.styleRules.forEach((blocks, className) => {
+      blocks.forEach(block => {
+        const rule = '.' + className + block.pseudo + ' { ' + block.body + ' }';
+        if (block.media) {
+          media.push({ rank: block.rank, text: '@media ' + block.media + ' { ' + rule + ' }' });
+        } else {
+          (block.pseudo ? states : base).push(rule);
+        }
+      });
+    });
+    media.sort((a, b) => a.rank - b.rank);
+    return base.concat(states, media.map(rule => rule.text)).join('\n');
+  }
+
+  function pruneStyleRules(ctx) {
+    const used = new Set();
+    ctx.root.querySelectorAll('[class]').forEach(el => el.classList.forEach(name => used.add(name)));
+    ctx.styleRules.forEach((blocks, className) => {
+      if (!used.has(className)) ctx.styleRules.delete(className);
+    });
+  }
+
+  function flushStyleRules(ctx) {
+    ctx.rulesScheduled = false;
+    if (ctx.rulesStyle) ctx.rulesStyle.textContent = buildStyleRules(ctx);
+  }
+
+  function applyStyles(el, attrs, selector, ctx) {
+    const blocks = [{ media: '', rank: -1, pseudo: '', body: declareStyles(ctx, mapStyles(attrs, selector)) }];
+    collectVariants(attrs).forEach(variant => {
+      blocks.push({ media: variant.media, rank: variant.rank, pseudo: variant.pseudo, body: declareStyles(ctx, mapStyles(variant.attrs, null)) });
+    });
+    const className = registerStyleClass(ctx, blocks);
+    if (el.tmkStyleClass && el.tmkStyleClass !== className) {
+      el.classList.remove(el.tmkStyleClass);
+    }
+    if (className) el.classList.add(className);
+    el.tmkStyleClass = className;
+    if (attrs.animation) {
+      const animClass = getAnimationClass(attrs.animation);
+      if (attrs.reveal !== undefined && !ctx.server) {
+        if (el.tmkReveal !== animClass) observeReveal(el, animClass);
+      } else {
+        el.classList.add(animClass);
+      }
+    }
+  }
+
+  function createElementFromParsed(item, ctx, scope) {
+    const el = buildElement(item, ctx, scope);
+    if (el) {
+      el.tmkNode = item;
+      el.tmkKey = getNodeKey(item);
+      el.tmkSignature = getNodeSignature(item);
+    }
+    return el;
+  }
+
+  function getNodeKey(node) {
+    const id = node.attrs && (node.attrs.key || node.attrs.id);
+    return id ? node.selector + '#' + id : node.selector;
+  }
+
+  function getNodeSignature(node) {
+    const shallow = CONTAINER_SELECTORS.includes(node.selector);
+    return JSON.stringify(node, function(key, value) {
+      if (key === 'line' || key === 'column' || key === 'indent' || key === 'compiled') return undefined;
+      if (key === 'children' && shallow && this === node) return undefined;
+      return value;
+    });
+  }
+
+  function registerDeclarations(nodes, ctx) {
+    for (const node of nodes) {
+      if (node.selector === 'state' || node.selector === 'var') {
+        declareState(ctx, node.attrs);
+      } else if (node.selector === 'hide') {
+        registerHideBlock(ctx, node.attrs.id, node.children);
+      } else if (node.selector === 'id' && findHandler(node, 'oncall')) {
+        registerIdFunction(ctx, node.attrs.id || node.text, findHandler(node, 'oncall'));
+      } else if (node.selector === 'define') {
+        registerComponentDefinition(ctx.components, createComponentDefinition(node.name, node.params, node.children));
+      } else if (node.selector === 'style') {
+        registerPreset(ctx, node.attrs);
+      } else if (node.selector === 'theme') {
+        registerThemeTokens(ctx, node.attrs);
+      } else if (node.selector === 'messages') {
+        registerMessages(ctx, node.attrs);
+      } else if (node.selector === 'page') {
+        ctx.pageNodes.push(node);
+      } else if (node.selector === 'fetch') {
+        registerFetch(ctx, node.attrs);
+      } else if (node.selector === 'on') {
+        listenForEvent(ctx, node);
+      }
+      if (node.selector === 'if') {
+        node.branches.forEach(branch => registerDeclarations(branch.children, ctx));
+      } else if (node.children && node.selector !== 'hide' && node.selector !== 'each' && node.selector !== 'define') {
+        registerDeclarations(node.children, ctx);
+      }
+    }
+  }
+
+  function findPreviousManaged(el) {
+    let sibling = el.previousSibling;
+    while (sibling && !sibling.tmkNode) {
+      sibling = sibling.previousSibling;
+    }
+    return sibling;
+  }
+
+  function reconcileChildren(parent, nodes, ctx, scope) {
+    const existing = Array.from(parent.childNodes).filter(child => child.tmkNode);
+    const pool = new Map();
+    existing.forEach(el => {
+      if (!pool.has(el.tmkKey)) pool.set(el.tmkKey, []);
+      pool.get(el.tmkKey).push(el);
+    });
+    const elements = [];
+    for (const node of nodes) {
+      const candidates = pool.get(getNodeKey(node));
+      const candidate = candidates && candidates.length ? candidates[0] : null;
+      let el;
+      if (candidate && candidate.tmkSignature === getNodeSignature(node) && candidate.tmkDefinition === getDefinitionSignature(ctx, node)) {
+        candidates.shift();
+        el = candidate;
+        el.tmkNode = node;
+        if (node.children && CONTAINER_SELECTORS.includes(node.selector)) {
+          reconcileChildren(el, node.children, ctx, scope);
+        }
+      } else {
+        el = createElementFromParsed(node, ctx, scope);
+      }
+      if (el) elements.push(el);
+    }
+    existing.forEach(el => {
+      if (!elements.includes(el)) el.remove();
+    });
+    let previous = null;
+    elements.forEach(el => {
+      if (el.parentNode === parent && findPreviousManaged(el) === previous) {
+        previous = el;
+        return;
+      }
+      const reference = previous ? previous.nextSibling : parent.firstChild;
+      parent.insertBefore(el, reference);
+      previous = el;
+    });
+  }
+
+  function buildElement(item, ctx, scope) {
+    const { selector, rawLine } = item;
+    const attrs = resolveAttrs(item.attrs, ctx, scope);
+    if (selector === 'state' || selector === 'var') {
+      declareState(ctx, item.attrs);
+      return null;
+    }
+    if (selector === 'body') {
+      if (!ctx.server && checkCapability(ctx, 'body-styles', '.body')) applyBodyStyles(attrs);
+      return null;
+    }
+    if (selector === 'hide') {
+      registerHideBlock(ctx, attrs.id, item.children);
+      return null;
+    }
+    if (selector === 'loading' || selector === 'error') {
+      return attrs.for ? createFetchStatusBlock(item, ctx, scope) : null;
+    }
+    if (selector === 'fetch') {
+      registerFetch(ctx, item.attrs);
+      return null;
+    }
+    if (selector === 'on') {
+      return null;
+    }
+    if (selector === 'define') {
+      registerComponentDefinition(ctx.components, createComponentDefinition(item.name, item.params, item.children));
+      return null;
+    }
+    if (selector === 'slot') {
+      return createSlot(item, ctx, scope);
+    }
+    if (selector === 'style') {
+      registerPreset(ctx, item.attrs);
+      return null;
+    }
+    if (selector === 'theme') {
+      registerThemeTokens(ctx, item.attrs);
+      return null;
+    }
+    if (selector === 'messages') {
+      registerMessages(ctx, item.attrs);
+      return null;
+    }
+    if (selector === 'include') {
+      console.warn('[TinyMark] .include is only resolved inside <tiny-mark> with the fetch capability:', attrs.src || interpolate(item.text, ctx, scope));
+      return null;
+    }
+    if (selector === 'each') {
+      return createEachBlock(item, ctx, scope);
+    }
+    if (selector === 'if') {
+      return createIfBlock(item, ctx, scope);
+    }
+    if (selector === 'page') {
+      return createPageBlock(item, ctx, scope);
+    }
+    if (selector === 'placeholder') {
+      const el = ctx.doc.createElement('section');
+      preparePlaceholder(el, attrs.id);
+      el.tmkAnimation = attrs.animation || null;
+      el.tmkExitAnimation = attrs.exit || attrs.animation || null;
+      applyStyles(el, Object.assign({}, attrs, { animation: '' }), selector, ctx);
+      ctx.placeholders[attrs.id] = el;
+      return el;
+    }
+    const definition = findComponent(ctx, selector);
+    if (definition) {
+      return createComponentInstance(definition, item, ctx, scope);
+    }
+    const text = item.attrs.t ? translate(ctx, attrs.t) : interpolate(item.text, ctx, scope);
+    const tagName = SELECTORS[selector] || 'div';
+    const factory = TinyMark.selectorFactories[selector];
+    const el = (factory && factory(item, { doc: ctx.doc, text, attrs, scope, instance: ctx.host })) || ctx.doc.createElement(tagName);
+    if (selector === 'id') {
+      const id = attrs.id || text;
+      if (findHandler(item, 'oncall')) {
+        registerIdFunction(ctx, id, findHandler(item, 'oncall'));
+      }
+      el.setAttribute('data-tmk-function-id', id);
+    }
+    if (text || hasInterpolation(item.text)) {
+      if (tagName === 'img' || tagName === 'video' || tagName === 'audio') {
+      } else {
+        if (item.attrs.t) {
+          const renderMessage = () => {
+            const found = findTranslation(ctx, interpolate(item.attrs.t, ctx, scope));
+            setRichText(el, found.message, selector, ctx, found.fill, MESSAGE_TOKEN);
+          };
+          renderMessage();
+          ctx.bindings.push({ el, deps: collectDependencies([item.attrs.t]).add(LOCALE_KEY), update: renderMessage });
+        } else {
+          const renderText = () => setRichText(el, item.text, selector, ctx, value => interpolate(value, ctx, scope), INTERPOLATION_TOKEN);
+          renderText();
+          addBinding(ctx, el, [item.text], renderText);
+        }
+      }
+    }
+    if (attrs.href && tagName === 'button') {
+      el.style.cursor = 'pointer';
+      el.addEventListener('click', () => {
+        const url = checkCapability(ctx, 'nav', 'href') ? sanitizeUrl(ctx, interpolate(item.attrs.href, ctx, scope)) : '';
+        if (url) window.location.href = url;
+      });
+    }
+    if (selector === 'link' && !item.attrs.href) {
+      setupLink(el, item, ctx, scope);
+    }
+    if (attrs.controls !== undefined) {
+      el.setAttribute('controls', '');
+    }
+    if (attrs.autoplay !== undefined) {
+      el.setAttribute('autoplay', '');
+    }
+    if (attrs.loop !== undefined) {
+      el.setAttribute('loop', '');
+    }
+    applyAttributes(el, attrs, selector, ctx);
+    addBinding(ctx, el, Object.keys(item.attrs).filter(key => key !== 'functionBody').map(key => item.attrs[key]), () => {
+      applyAttributes(el, resolveAttrs(item.attrs, ctx, scope), selector, ctx);
+    });
+    if (selector === 'select' && attrs.options) {
+      const options = attrs.options.split(',');
+      options.forEach(opt => {
+        const option = ctx.doc.createElement('option');
+        option.value = opt.trim();
+        option.textContent = opt.trim();
+        el.appendChild(option);
+      });
+    }
+    if (attrs.bind && FIELD_SELECTORS.includes(selector)) {
+      bindField(el, attrs, ctx);
+    }
+    if (selector === 'form') {
+      setupForm(el, item.attrs, ctx, item.handlers || []);
+    }
+    setupHandlers(el, item, ctx, scope);
+    if (attrs.onclick) {
+      if (attrs.onclick.startsWith('js:')) {
+        if (canRunJs(ctx)) {
+          makeActivatable(el);
+          el.addEventListener('click', () => {
+            try {
+              const code = attrs.onclick.substring(3).trim();
+              const func = new Function(code);
+              func();
+            } catch (err) {
+              console.error('[TinyMark] Error in onclick js:', err);
+            }
+          });
+        }
+      }
+    }
+    if (item.children) {
+      const stagger = parseDuration(attrs.stagger, 0);
+      let index = 0;
+      for (const child of item.children) {
+        const childEl = createElementFromParsed(child, ctx, scope);
+        if (childEl) {
+          setStaggerDelay(childEl, index++, stagger);
+          el.appendChild(childEl);
+        }
+      }
+    }
+    el.setAttribute('data-tmk-selector', selector);
+    el.setAttribute('data-tmk-raw', rawLine);
+    el.addEventListener('click', (e) => {
+      if (e.shiftKey && !TinyMark.production) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (TinyMark.devtools.panel) {
+          selectDevtoolsNode(ctx, item.line);
+        } else {
+          showInspector(el, rawLine, attrs);
+        }
+      }
+    });
+    return el;
+  }
+
+  function tokenizeExpression(source) {
+    const tokens = [];
+    const regex = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(===|!==|==|!=|<=|>=|&&|\|\||[<>!()])|([A-Za-z_$][\w$]*(?:\.[\w$]+)*))/y;
+    let index = 0;
+    source = source.trim();
+    while (index < source.length) {
+      regex.lastIndex = index;
+      const match = regex.exec(source);
+      if (!match || match[0].trim() === '') {
+        throw new Error('Unexpected character at ' + index + ' in: ' + source);
+      }
+      index = regex.lastIndex;
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'value', value: Number(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'value', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+      } else if (match[3] !== undefined) {
+        tokens.push({ type: 'op', value: match[3] });
+      } else if (['and', 'or', 'not'].includes(match[4])) {
+        tokens.push({ type: 'op', value: match[4] });
+      } else if (['true', 'false', 'null'].includes(match[4])) {
+        tokens.push({ type: 'value', value: JSON.parse(match[4]) });
+      } else {
+        tokens.push({ type: 'name', value: match[4] });
+      }
+    }
+    return tokens;
+  }
+
+  function compileExpression(source) {
+    const tokens = tokenizeExpression(source);
+    const deps = new Set();
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const accept = (...ops) => {
+      const token = tokens[pos];
+      if (token && token.type === 'op' && ops.includes(token.value)) {
+        pos++;
+        return token.value;
+      }
+      return null;
+    };
+    const parseOr = () => {
+      let node = parseAnd();
+      while (accept('or', '||')) {
+        node = { op: 'or', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+    const parseAnd = () => {
+      let node = parseNot();
+      while (accept('and', '&&')) {
+        node = { op: 'and', left: node, right: parseNot() };
+      }
+      return node;
+    };
+    const parseNot = () => {
+      if (accept('not', '!')) {
+        return { op: 'not', operand: parseNot() };
+      }
+      let node = parsePrimary();
+      const op = accept('===', '!==', '==', '!=', '<=', '>=', '<', '>');
+      if (op) {
+        node = { op, left: node, right: parsePrimary() };
+      }
+      return node;
+    };
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) throw new Error('Unexpected end of expression: ' + source);
+      if (accept('(')) {
+        const node = parseOr();
+        if (!accept(')')) throw new Error('Missing ) in expression: ' + source);
+        return node;
+      }
+      pos++;
+      if (token.type === 'value') return { op: 'value', value: token.value };
+      if (token.type === 'name') {
+        deps.add(token.value.split('.')[0]);
+        return { op: 'name', path: token.value };
+      }
+      throw new Error('Unexpected "' + token.value + '" in expression: ' + source);
+    };
+    const tree = parseOr();
+    if (pos < tokens.length) {
+      throw new Error('Unexpected "' + tokens[pos].value + '" in expression: ' + source);
+    }
+    return { tree, deps };
+  }
+
+  function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value;
+  }
+
+  function evaluateExpression(node, lookup) {
+    switch (node.op) {
+      case 'value': return node.value;
+      case 'name': return lookup(node.path);
+      case 'not': return !isTruthy(evaluateExpression(node.operand, lookup));
+      case 'and': return isTruthy(evaluateExpression(node.left, lookup)) && isTruthy(evaluateExpression(node.right, lookup));
+      case 'or': return isTruthy(evaluateExpression(node.left, lookup)) || isTruthy(evaluateExpression(node.right, lookup));
+    }
+    const left = evaluateExpression(node.left, lookup);
+    const right = evaluateExpression(node.right, lookup);
+    switch (node.op) {
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '==': return left == right;
+      case '!=': return left != right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+    }
+    return false;
+  }
+
+  function getCompiledExpression(branch) {
+    if (!branch.compiled) {
+      try {
+        branch.compiled = compileExpression(branch.condition);
+      } catch (err) {
+        console.warn('[TinyMark] Invalid condition:', err.message);
+        branch.compiled = { tree: { op: 'value', value: false }, deps: new Set() };
+      }
+    }
+    return branch.compiled;
+  }
+
+  function createIfBlock(item, ctx, scope) {
+    const wrapper = ctx.doc.createElement('div');
+    wrapper.style.display = 'contents';
+    wrapper.setAttribute('data-tmk-selector', 'if');
+    wrapper.setAttribute('data-tmk-raw', item.rawLine);
+    wrapper.tmkBranch = -1;
+    const deps = new Set();
+    item.branches.forEach(branch => {
+      if (branch.condition !== null) getCompiledExpression(branch).deps.forEach(dep => deps.add(dep));
+    });
+    const lookup = path => lookupValue(ctx, scope, path);
+    const update = () => {
+      const active = item.branches.findIndex(branch => {
+        return branch.condition === null || isTruthy(evaluateExpression(getCompiledExpression(branch).tree, lookup));
+      });
+      if (active === wrapper.tmkBranch) return;
+      wrapper.tmkBranch = active;
+      wrapper.innerHTML = '';
+      if (active === -1) return;
+      for (const child of item.branches[active].children) {
+        const el = createElementFromParsed(child, ctx, scope);
+        if (el) wrapper.appendChild(el);
+      }
+    };
+    update();
+    if (deps.size > 0) {
+      ctx.bindings.push({ el: wrapper, deps, update });
+    }
+    return wrapper;
+  }
+
+  function createComponentDefinition(name, params, children) {
+    const definition = { name, params, children };
+    definition.signature = getNodeSignature(definition);
+    return definition;
+  }
+
+  function registerComponentDefinition(registry, definition) {
+    if (!definition.name || SELECTORS[definition.name]) {
+      console.warn('[TinyMark] Invalid component name:', definition.name);
+      return false;
+    }
+    registry[definition.name] = definition;
+    return true;
+  }
+
+  function findComponent(ctx, selector) {
+    if (selector in SELECTORS) return null;
+    return ctx.components[selector] || TinyMark.components[selector] || null;
+  }
+
+  function getDefinitionSignature(ctx, node) {
+    const definition = findComponent(ctx, node.selector);
+    return definition ? definition.signature : undefined;
+  }
+
+  function substituteParams(nodes, values) {
+    return JSON.parse(JSON.stringify(nodes, (key, value) => {
+      if (key === 'compiled') return undefined;
+      if (typeof value !== 'string') return value;
+      return value.replace(/\{\{\s*([\w$]+)\s*\}\}/g, (match, name) => name in values ? values[name] : match);
+    }));
+  }
+
+  function createComponentInstance(definition, item, ctx, scope) {
+    if (ctx.componentStack.includes(definition.name)) {
+      console.error('[TinyMark] Component .' + definition.name + ' cannot use itself');
+      return null;
+    }
+    const wrapper = ctx.doc.createElement('div');
+    wrapper.style.display = 'contents';
+    wrapper.setAttribute('data-tmk-component', definition.name);
+    wrapper.setAttribute('data-tmk-raw', item.rawLine);
+    wrapper.tmkDefinition = definition.signature;
+    const values = {};
+    const componentScope = Object.assign({}, scope, {
+      $slot: { nodes: item.children || [], scope, stack: ctx.componentStack.slice() }
+    });
+    definition.params.forEach((param, index) => {
+      let value = param.value;
+      if (param.name in item.attrs) {
+        value = item.attrs[param.name];
+      } else if (index === 0 && item.text !== null) {
+        value = item.text;
+      }
+      values[param.name] = value;
+      componentScope[param.name] = parseStateValue(interpolate(value, ctx, scope));
+    });
+    ctx.componentStack.push(definition.name);
+    try {
+      for (const child of substituteParams(definition.children, values)) {
+        const el = createElementFromParsed(child, ctx, componentScope);
+        if (el) wrapper.appendChild(el);
+      }
+    } finally {
+      ctx.componentStack.pop();
+    }
+    return wrapper;
+  }
+
+  function createSlot(item, ctx, scope) {
+    const wrapper = ctx.doc.createElement('div');
+    wrapper.style.display = 'contents';
+    wrapper.setAttribute('data-tmk-selector', 'slot');
+    const slot = scope && scope.$slot;
+    const filled = slot && slot.nodes.length > 0;
+    const stack = ctx.componentStack;
+    if (filled) ctx.componentStack = slot.stack;
+    try {
+      for (const child of filled ? slot.nodes : item.children || []) {
+        const el = createElementFromParsed(child, ctx, filled ? slot.scope : scope);
+        if (el) wrapper.appendChild(el);
+      }
+    } finally {
+      ctx.componentStack = stack;
+    }
+    return wrapper;
+  }
+
+  function normalizePath(path) {
+    let clean = String(path || '').split(/[?#]/)[0].trim();
+    if (!clean.startsWith('/')) clean = '/' + clean;
+    return clean.length > 1 ? clean.replace(/\/+$/, '') : clean;
+  }
+
+  function getCurrentPath(ctx) {
+    if (ctx.server || !hasDOM) {
+      return normalizePath(ctx.routePath || '/');
+    }
+    if (TinyMark.routerMode === 'history') {
+      return normalizePath(window.location.pathname);
+    }
+    return normalizePath(window.location.hash.replace(/^#/, ''));
+  }
+
+  function matchRoute(pattern, path) {
+    const patternParts = normalizePath(pattern).split('/').filter(Boolean);
+    const pathParts = path.split('/').filter(Boolean);
+    if (patternParts.length !== pathParts.length) return null;
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+      if (patternParts[i].startsWith(':')) {
+        try {
+          params[patternParts[i].substring(1)] = decodeURIComponent(pathParts[i]);
+        } catch (err) {
+          return null;
+        }
+      } else if (patternParts[i] !== pathParts[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  function getActiveRoute(ctx) {
+    const path = getCurrentPath(ctx);
+    let fallback = null;
+    for (const node of ctx.pageNodes) {
+      const route = node.attrs.route || '';
+      if (route === '*') {
+        fallback = fallback || node;
+        continue;
+      }
+      const params = matchRoute(route, path);
+      if (params) return { node, params, path };
+    }
+    return fallback ? { node: fallback, params: {}, path } : null;
+  }
+
+  function createPageBlock(item, ctx, scope) {
+    const wrapper = ctx.doc.createElement('div');
+    wrapper.style.display = 'contents';
+    wrapper.setAttribute('data-tmk-selector', 'page');
+    wrapper.setAttribute('data-tmk-raw', item.rawLine);
+    wrapper.tmkRouteKey = null;
+    const update = () => {
+      const node = wrapper.tmkNode || item;
+      const route = getActiveRoute(ctx);
+      const key = route && route.node === node ? route.path : null;
+      if (key === wrapper.tmkRouteKey) return;
+      wrapper.tmkRouteKey = key;
+      wrapper.innerHTML = '';
+      if (key === null) return;
+      const pageScope = Object.assign({}, scope, { params: route.params, path: route.path });
+      for (const child of node.children) {
+        const el = createElementFromParsed(child, ctx, pageScope);
+        if (el) wrapper.appendChild(el);
+      }
+      if (!ctx.server) {
+        document.title = node.attrs.title ? interpolate(node.attrs.title, ctx, pageScope) : TinyMark.defaultTitle;
+      }
+    };
+    update();
+    ctx.routeBindings.push({ el: wrapper, update });
+    return wrapper;
+  }
+
+  function setupLink(el, item, ctx, scope) {
+    const update = () => {
+      const to = interpolate(item.attrs.to || '/', ctx, scope);
+      const href = TinyMark.routerMode === 'history' ? sanitizeUrl(ctx, to, 'href') : '#' + to;
+      if (href) {
+        el.setAttribute('href', href);
+      } else {
+        el.removeAttribute('href');
+      }
+      if (normalizePath(to) === getCurrentPath(ctx)) {
+        el.setAttribute('aria-current', 'page');
+      } else {
+        el.removeAttribute('aria-current');
+      }
+    };
+    update();
+    ctx.routeBindings.push({ el, update });
+    addBinding(ctx, el, [item.attrs.to], update);
+    el.addEventListener('click', (e) => {
+      if (e.shiftKey || e.ctrlKey || e.metaKey) return;
+      e.preventDefault();
+      navigate(interpolate(item.attrs.to || '/', ctx, scope));
+    });
+  }
+
+  function updateRoutes(ctx) {
+    ctx.routeBindings = ctx.routeBindings.filter(binding => binding.el.isConnected);
+    ctx.routeBindings.slice().forEach(binding => binding.update());
+  }
+
+  function handleRouteChange() {
+    TinyMark.instances.forEach(updateRoutes);
+  }
+
+  function navigate(path, replace) {
+    if (!hasDOM) return;
+    if (TinyMark.routerMode === 'history') {
+      try {
+        const url = new URL(path, window.location.href);
+        if (url.origin !== window.location.origin) {
+          throw new Error('only same-origin paths are allowed');
+        }
+        window.history[replace ? 'replaceState' : 'pushState']({}, '', url.pathname + url.search + url.hash);
+      } catch (err) {
+        console.warn('[TinyMark] Unable to navigate to', path + ':', err.message);
+        return;
+      }
+      handleRouteChange();
+    } else if (replace) {
+      window.history.replaceState({}, '', '#' + path);
+      handleRouteChange();
+    } else {
+      window.location.hash = path;
+    }
+  }
+
+  function resolveEachSource(item, ctx, scope) {
+    const source = interpolate(item.source, ctx, scope);
+    if (/^[\[{]/.test(source)) {
+      const value = parseStateValue(source);
+      return typeof value === 'string' ? undefined : value;
+    }
+    return lookupValue(ctx, scope, source);
+  }
+
+  function createEachBlock(item, ctx, scope) {
+    const wrapper = ctx.doc.createElement('div');
+    wrapper.style.display = 'contents';
+    wrapper.setAttribute('data-tmk-selector', 'each');
+    wrapper.setAttribute('data-tmk-raw', item.rawLine);
+    wrapper.tmkEntries = [];
+    wrapper.tmkEmpty = null;
+    const usesIndex = JSON.stringify(item.children).indexOf('$index') !== -1;
+    const update = () => {
+      let list = resolveEachSource(item, ctx, scope);
+      if (list && !Array.isArray(list) && typeof list === 'object') {
+        list = Object.keys(list).map(key => ({ key, value: list[key] }));
+      }
+      updateEachBlock(wrapper, item, Array.isArray(list) ? list : [], ctx, scope, usesIndex);
+    };
+    update();
+    if (!/^[\[{]/.test(item.source)) {
+      ctx.bindings.push({ el: wrapper, deps: collectDependencies(['{{' + item.source + '}}']), update });
+    }
+    return wrapper;
+  }
+
+  function updateEachBlock(wrapper, item, list, ctx, scope, usesIndex) {
+    const previous = new Map();
+    wrapper.tmkEntries.forEach(entry => previous.set(entry.key, entry));
+    const entries = list.map((value, index) => {
+      const key = item.attrs.key ? formatValue(resolvePath(value, item.attrs.key)) : String(index);
+      const signature = JSON.stringify(usesIndex ? [value, index] : value);
+      const old = previous.get(key);
+      if (old && old.signature === signature) {
+        previous.delete(key);
+        return old;
+      }
+      const itemScope = Object.assign({}, scope);
+      itemScope[item.as] = value;
+      itemScope.$index = index;
+      const nodes = [];
+      for (const child of item.children) {
+        const el = createElementFromParsed(child, ctx, itemScope);
+        if (el) {
+          setStaggerDelay(el, index, parseDuration(item.attrs.stagger, 0));
+          nodes.push(el);
+        }
+      }
+      return { key, signature, nodes };
+    });
+    previous.forEach(entry => entry.nodes.forEach(node => node.remove()));
+    if (entries.length === 0 && !wrapper.tmkEmpty) {
+      wrapper.tmkEmpty = [];
+      for (const child of item.empty) {
+        const el = createElementFromParsed(child, ctx, scope);
+        if (el) wrapper.tmkEmpty.push(el);
+      }
+    } else if (entries.length > 0 && wrapper.tmkEmpty) {
+      wrapper.tmkEmpty.forEach(node => node.remove());
+      wrapper.tmkEmpty = null;
+    }
+    const ordered = wrapper.tmkEmpty || [].concat(...entries.map(entry => entry.nodes));
+    ordered.forEach((node, index) => {
+      if (wrapper.childNodes[index] !== node) {
+        wrapper.insertBefore(node, wrapper.childNodes[index] || null);
+      }
+    });
+    wrapper.tmkEntries = entries;
+  }
+
+  function setRichText(el, text, selector, ctx, fill, token) {
+    fill = fill || (value => value);
+    if (PLAIN_TEXT_SELECTORS.includes(selector) || !/[*_`[\\]/.test(text)) {
+      el.textContent = fill(text);
+      return;
+    }
+    el.textContent = '';
+    appendInlineText(el, text, ctx, el.tagName !== 'A' && el.tagName !== 'BUTTON', fill, token);
+  }
+
+  function matchInlineToken(text, i, token) {
+    const match = token && text[i] === '{' ? text.substring(i).match(token) : null;
+    return match ? match[0] : '';
+  }
+
+  function findInlineClose(text, marker, from, token) {
+    for (let i = from; i < text.length; i++) {
+      const tokenText = matchInlineToken(text, i, token);
+      if (tokenText) {
+        i += tokenText.length - 1;
+      } else if (text[i] === '\\' && INLINE_ESCAPES.includes(text[i + 1])) {
+        i++;
+      } else if (text.startsWith(marker, i) && (marker !== '_' || !/\w/.test(text[i + 1] || ''))) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  function appendInlineText(parent, text, ctx, allowLinks, fill, token) {
+    let buffer = '';
+    const flush = () => {
+      const value = buffer ? fill(buffer) : '';
+      if (value) parent.appendChild(ctx.doc.createTextNode(value));
+      buffer = '';
+    };
+    const appendElement = (tagName, content, literal) => {
+      flush();
+      const el = ctx.doc.createElement(tagName);
+      if (literal) {
+        el.textContent = fill(content);
+      } else {
+        appendInlineText(el, content, ctx, allowLinks, fill, token);
+      }
+      parent.appendChild(el);
+      return el;
+    };
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      const tokenText = matchInlineToken(text, i, token);
+      if (tokenText) {
+        buffer += tokenText;
+        i += tokenText.length;
+        continue;
+      }
+      if (ch === '\\' && INLINE_ESCAPES.includes(text[i + 1])) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+      if (ch === '`') {
+        const close = text.indexOf('`', i + 1);
+        if (close > i + 1) {
+          appendElement('code', text.substring(i + 1, close), true);
+          i = close + 1;
+          continue;
+        }
+      } else if (text.startsWith('**', i)) {
+        const close = findInlineClose(text, '**', i + 2, token);
+        if (close > i + 2) {
+          appendElement('strong', text.substring(i + 2, close));
+          i = close + 2;
+          continue;
+        }
+      } else if (ch === '_' && !/\w/.test(text[i - 1] || '')) {
+        const close = findInlineClose(text, '_', i + 1, token);
+        if (close > i + 1) {
+          appendElement('em', text.substring(i + 1, close));
+          i = close + 1;
+          continue;
+        }
+      } else if (ch === '[') {
+        const linkMatch = text.substring(i).match(/^\[((?:\\.|[^\]\\])+)\]\(([^()\s]*)\)/);
+        if (linkMatch) {
+          const url = allowLinks ? sanitizeUrl(ctx, fill(linkMatch[2]), 'href') : '';
+          if (url) {
+            appendElement('a', linkMatch[1]).setAttribute('href', url);
+          } else {
+            flush();
+            appendInlineText(parent, linkMatch[1], ctx, allowLinks, fill, token);
+          }
+          i += linkMatch[0].length;
+          continue;
+        }
+      }
+      buffer += ch;
+      i++;
+    }
+    flush();
+  }
+
+  function applyAttributes(el, attrs, selector, ctx) {
+    ['href', 'src'].forEach(name => {
+      if (!attrs[name] || (name === 'href' && el.tagName === 'BUTTON')) return;
+      const url = sanitizeUrl(ctx, attrs[name], name);
+      if (url) {
+        el.setAttribute(name, url);
+      } else {
+        el.removeAttribute(name);
+      }
+    });
+    if (attrs.class) {
+      el.className = attrs.class;
+    }
+    if (attrs.alt !== undefined) el.setAttribute('alt', attrs.alt);
+    if (attrs.label) el.setAttribute('aria-label', attrs.label);
+    if (attrs.role) el.setAttribute('role', attrs.role);
+    Object.keys(attrs).filter(name => /^aria-[a-z]+$/.test(name)).forEach(name => {
+      el.setAttribute(name, attrs[name]);
+    });
+    if (selector === 'input' || selector === 'textarea') {
+      if (attrs.placeholder) el.setAttribute('placeholder', attrs.placeholder);
+      if (attrs.value) el.value = attrs.value;
+      if (attrs.type) el.setAttribute('type', attrs.type);
+    }
+    if (el.tagName === 'BUTTON') {
+      el.setAttribute('type', attrs.type || 'button');
+    }
+    applyStyles(el, attrs, selector, ctx);
+  }
+
+  function readFieldValue(field) {
+    if (field.type === 'checkbox') return field.checked;
+    if (field.type === 'number' || field.type === 'range') {
+      return field.value === '' ? null : Number(field.value);
+    }
+    return field.value;
+  }
+
+  function writeFieldValue(field, value) {
+    if (field.type === 'checkbox') {
+      field.checked = !!value;
+      return;
+    }
+    const text = formatValue(value);
+    if (field.value !== text) field.value = text;
+  }
+
+  function bindField(field, attrs, ctx) {
+    const name = attrs.bind;
+    const root = name.split('.')[0];
+    field.setAttribute('data-tmk-bind', name);
+    field.tmkRules = {
+      required: attrs.required !== undefined && attrs.required !== 'false',
+      min: attrs.min,
+      max: attrs.max,
+      pattern: attrs.pattern,
+      error: attrs.error
+    };
+    const current = getStateValue(ctx, name);
+    if (current === undefined) {
+      assignState(ctx, name, readFieldValue(field));
+    } else {
+      writeFieldValue(field, current);
+    }
+    const onInput = () => {
+      setState(ctx, name, readFieldValue(field));
+      if (field.tmkErrorEl) {
+        showFieldError(field, validateField(field, readFieldValue(field)));
+      }
+    };
+    field.addEventListener('input', onInput);
+    field.addEventListener('change', onInput);
+    ctx.bindings.push({
+      el: field,
+      deps: new Set([root]),
+      update: () => writeFieldValue(field, getStateValue(ctx, name))
+    });
+  }
+
+  function validateField(field, value) {
+    const rules = field.tmkRules || {};
+    const empty = value === null || value === undefined || value === '' || value === false;
+    if (rules.required && empty) {
+      return rules.error || 'This field is required.';
+    }
+    if (empty) return null;
+    const numeric = typeof value === 'number';
+    const measure = numeric ? value : String(value).length;
+    if (rules.min !== undefined && rules.min !== '' && measure < Number(rules.min)) {
+      return rules.error || (numeric ? 'Must be at least ' + rules.min + '.' : 'Must be at least ' + rules.min + ' characters.');
+    }
+    if (rules.max !== undefined && rules.max !== '' && measure > Number(rules.max)) {
+      return rules.error || (numeric ? 'Must be at most ' + rules.max + '.' : 'Must be at most ' + rules.max + ' characters.');
+    }
+    if (rules.pattern) {
+      try {
+        if (!new RegExp('^(?:' + rules.pattern + ')$').test(String(value))) {
+          return rules.error || 'Please match the requested format.';
+        }
+      } catch (err) {
+        console.warn('[TinyMark] Invalid pattern:', rules.pattern);
+      }
+    }
+    return null;
+  }
+
+  function showFieldError(field, message) {
+    if (!message) {
+      if (field.tmkErrorEl) {
+        field.tmkErrorEl.remove();
+        field.tmkErrorEl = null;
+      }
+      field.removeAttribute('aria-invalid');
+      return;
+    }
+    if (!field.tmkErrorEl) {
+      const errorEl = field.ownerDocument.createElement('small');
+      errorEl.setAttribute('data-tmk-error', field.getAttribute('data-tmk-bind'));
+      errorEl.style.display = 'block';
+      errorEl.style.color = '#d93025';
+      errorEl.style.fontSize = '12px';
+      errorEl.style.marginTop = '4px';
+      field.insertAdjacentElement('afterend', errorEl);
+      field.tmkErrorEl = errorEl;
+    }
+    field.tmkErrorEl.textContent = message;
+    field.setAttribute('aria-invalid', 'true');
+  }
+
+  function setupForm(form, attrs, ctx, handlers) {
+    form.setAttribute('novalidate', '');
+    if (attrs.id) {
+      form.setAttribute('data-tmk-form', attrs.id);
+    }
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitForm(form, attrs, ctx, handlers);
+    });
+  }
+
+  function submitForm(form, attrs, ctx, handlers) {
+    const payload = {};
+    let firstInvalid = null;
+    form.querySelectorAll('[data-tmk-bind]').forEach(field => {
+      const name = field.getAttribute('data-tmk-bind');
+      const value = readFieldValue(field);
+      payload[name] = value;
+      const error = validateField(field, value);
+      showFieldError(field, error);
+      if (error && !firstInvalid) firstInvalid = field;
+    });
+    if (firstInvalid) {
+      firstInvalid.focus();
+      console.warn('[TinyMark] Form validation failed:', attrs.id || '(anonymous form)');
+      return;
+    }
+    console.log('[TinyMark] Form submitted:', attrs.id || '(anonymous form)', payload);
+    if (attrs.handler) {
+      const handler = TinyMark.handlers[attrs.handler];
+      if (handler) {
+        handler(payload, { form, instance: ctx.host });
+      } else {
+        console.warn('[TinyMark] No handler registered for:', attrs.handler);
+      }
+    }
+    handlers.filter(handler => handler.type === 'onsubmit').forEach(handler => {
+      parseFunctionBody(handler.body, ctx, { form: payload });
+    });
+  }
+
+  function requestFormSubmit(id, ctx) {
+    const form = ctx.root ? ctx.root.querySelector('[data-tmk-form="' + id + '"]') : null;
+    if (!form) {
+      console.warn('[TinyMark] No form found for id:', id);
+      return;
+    }
+    if (form.requestSubmit) {
+      form.requestSubmit();
+    } else {
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+    }
+  }
+
+  function postPayload(url, payload) {
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error('Failed to post: ' + response.statusText);
+      }
+      console.log('[TinyMark] Posted payload to:', url);
+    }).catch(err => {
+      console.error('[TinyMark] Error posting payload:', err);
+    });
+  }
+
+  function resolveRequestUrl(ctx, value, baseUrl) {
+    const safe = sanitizeUrl(ctx, value);
+    if (!safe) {
+      throw new Error('Blocked URL: ' + value);
+    }
+    const url = new URL(safe, baseUrl || document.baseURI);
+    if (!isAllowedUrl(url)) {
+      throw new Error('Blocked request to ' + url.origin + '; allow it with tinymarkClient.allowDomains()');
+    }
+    return url;
+  }
+
+  function isAllowedUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+    if (hasDOM && url.origin === window.location.origin) return true;
+    return TinyMark.allowedDomains.some(entry => {
+      const domain = String(entry).toLowerCase().replace(/\/+$/, '');
+      if (domain.includes('://')) return url.origin === domain;
+      if (domain.startsWith('*.')) return url.hostname.endsWith(domain.substring(1));
+      return url.hostname === domain;
+    });
+  }
+
+  function buildFetchInit(attrs) {
+    const method = (attrs.method || 'GET').toUpperCase();
+    let headers = parseStateValue(attrs.headers || '{}');
+    if (typeof headers !== 'object' || headers === null) {
+      console.warn('[TinyMark] .fetch headers: must be a JSON object:', attrs.headers);
+      headers = {};
+    }
+    const init = { method, headers: Object.assign({ Accept: 'application/json' }, headers) };
+    if (attrs.body !== undefined && method !== 'GET' && method !== 'HEAD') {
+      const body = parseStateValue(attrs.body);
+      if (typeof body === 'string') {
+        init.body = body;
+      } else {
+        init.body = JSON.stringify(body);
+        init.headers = Object.assign({ 'Content-Type': 'application/json' }, init.headers);
+      }
+    }
+    return init;
+  }
+
+  function getRequestKey(attrs) {
+    return JSON.stringify([attrs.url, attrs.method, attrs.headers, attrs.body]);
+  }
+
+  function registerFetch(ctx, attrs) {
+    if (!attrs.id || !attrs.url) {
+      console.warn('[TinyMark] .fetch needs id: and url: attributes');
+      return;
+    }
+    const id = attrs.id;
+    ctx.fetchIds.push(id);
+    if (!(id in ctx.state)) ctx.state[id] = null;
+    const signature = JSON.stringify(attrs);
+    let request = ctx.fetches[id];
+    if (!request || request.signature !== signature) {
+      if (request) stopFetch(ctx, request);
+      request = { id, attrs, signature, status: 'idle', error: null, key: null, token: 0, timer: null, binding: null };
+      ctx.fetches[id] = request;
+      if (ctx.server) {
+        request.status = 'loading';
+        return;
+      }
+      const every = parseDuration(attrs.every, 0);
+      if (every > 0) {
+        request.timer = setInterval(() => runFetch(ctx, id, true), every);
+      }
+      if (ctx.host) {
+        request.binding = {
+          el: ctx.host,
+          deps: collectDependencies([attrs.url, attrs.method, attrs.headers, attrs.body]),
+          update: () => {
+            if (getRequestKey(resolveAttrs(attrs, ctx)) !== request.key) runFetch(ctx, id);
+          }
+        };
+      }
+      runFetch(ctx, id);
+    }
+    if (request.binding && request.binding.deps.size > 0 && !ctx.bindings.includes(request.binding)) {
+      ctx.bindings.push(request.binding);
+    }
+  }
+
+  function stopFetch(ctx, request) {
+    if (request.timer) clearInterval(request.timer);
+    request.timer = null;
+    request.token++;
+    ctx.bindings = ctx.bindings.filter(binding => binding !== request.binding);
+  }
+
+  function pruneFetches(ctx) {
+    for (const id in ctx.fetches) {
+      if (ctx.fetchIds.includes(id)) continue;
+      stopFetch(ctx, ctx.fetches[id]);
+      delete ctx.fetches[id];
+    }
+  }
+
+  function setFetchStatus(ctx, request, status, error) {
+    request.status = status;
+    request.error = error;
+    notifyBindings(ctx, 'fetch:' + request.id);
+    notifyBindings(ctx, request.id);
+  }
+
+  async function runFetch(ctx, id, quiet) {
+    const request = ctx.fetches[id];
+    if (!request) {
+      console.warn('[TinyMark] No .fetch found for id:', id);
+      return;
+    }
+    const attrs = resolveAttrs(request.attrs, ctx);
+    const token = ++request.token;
+    request.key = getRequestKey(attrs);
+    if (!quiet) setFetchStatus(ctx, request, 'loading', null);
+    try {
+      if (!hasCapability(ctx, 'fetch')) {
+        throw new Error('Blocked by policy: the fetch capability is not granted');
+      }
+      const url = resolveRequestUrl(ctx, attrs.url);
+      const response = await fetchWithTimeout(url.href, buildFetchInit(attrs), parseDuration(attrs.timeout, 10000));
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status + ' ' + response.statusText + ': ' + url.href);
+      }
+      const text = await response.text();
+      if (token !== request.token) return;
+      setState(ctx, id, text ? JSON.parse(text) : null);
+      setFetchStatus(ctx, request, 'ready', null);
+      logDebug('[TinyMark] Fetched', id, 'from', url.href);
+    } catch (err) {
+      if (token !== request.token) return;
+      console.error('[TinyMark] Error fetching ' + id + ':', err.message);
+      setFetchStatus(ctx, request, 'error', err);
+    }
+  }
+
+  function refetch(ref, ctx) {
+    const target = resolveReference(ctx, ref, 'fetches');
+    if (!target || !target.ctx) {
+      console.warn('[TinyMark] No .fetch found for id:', ref);
+      return;
+    }
+    runFetch(target.ctx, target.id);
+  }
+
+  function createFetchStatusBlock(item, ctx, scope) {
+    const id = interpolate(item.attrs.for, ctx, scope);
+    const wrapper = ctx.doc.createElement('div');
+    wrapper.style.display = 'contents';
+    wrapper.setAttribute('data-tmk-selector', item.selector);
+    wrapper.setAttribute('data-tmk-raw', item.rawLine);
+    wrapper.tmkStatus = null;
+    const update = () => {
+      const request = ctx.fetches[id];
+      const active = !!request && request.status === item.selector;
+      const key = active ? (request.error ? request.error.message : request.status) : null;
+      if (key === wrapper.tmkStatus) return;
+      wrapper.tmkStatus = key;
+      wrapper.innerHTML = '';
+      if (!active) return;
+      const statusScope = request.error ? Object.assign({}, scope, { error: request.error.message }) : scope;
+      for (const child of item.children) {
+        const el = createElementFromParsed(child, ctx, statusScope);
+        if (el) wrapper.appendChild(el);
+      }
+    };
+    update();
+    ctx.bindings.push({ el: wrapper, deps: new Set(['fetch:' + id]), update });
+    return wrapper;
+  }
+
+  function emitEvent(ctx, name, detail) {
+    const target = ctx.host || (hasDOM ? document : null);
+    if (!target || ctx.server) return;
+    target.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+    console.log('[TinyMark] Emitted event:', name, detail);
+  }
+
+  function listenForEvent(ctx, node) {
+    const handler = (node.handlers || []).find(entry => entry.type === 'onevent' && entry.body);
+    if (!node.attrs.event || !handler) {
+      console.warn('[TinyMark] .on needs event: and function:onevent(actions)');
+      return;
+    }
+    if (ctx.server || !hasDOM) return;
+    const name = node.attrs.event;
+    const listener = (e) => {
+      parseFunctionBody(handler.body, ctx, { detail: e.detail });
+    };
+    window.addEventListener(name, listener, { once: handler.modifiers.includes('once') });
+    ctx.eventListeners.push({ name, listener });
+  }
+
+  function removeEventListeners(ctx) {
+    ctx.eventListeners.forEach(entry => window.removeEventListener(entry.name, entry.listener));
+    ctx.eventListeners = [];
+  }
+
+  function findHandler(node, type) {
+    const handler = (node.handlers || []).find(entry => entry.type === type && entry.body);
+    return handler ? handler.body : null;
+  }
+
+  function matchesKey(event, spec) {
+    const parts = spec.split('+').map(part => part.trim().toLowerCase());
+    const key = parts.pop();
+    const pressed = String(event.key || '').toLowerCase();
+    return ['ctrl', 'shift', 'alt', 'meta'].every(mod => !!event[mod + 'Key'] === parts.includes(mod)) &&
+      (pressed === key || (key === 'space' && pressed === ' ') || (key === 'esc' && pressed === 'escape'));
+  }
+
+  function startTimer(el, interval, once, run, ctx) {
+    const stop = () => clearInterval(timer);
+    const timer = setInterval(() => {
+      if (!el.isConnected || once) {
+        stop();
+        ctx.watchers = ctx.watchers.filter(item => item.stop !== stop);
+      }
+      if (el.isConnected) run();
+    }, interval);
+    ctx.watchers.push({ el, stop });
+  }
+
+  function observeVisible(el, once, run, ctx) {
+    if (typeof IntersectionObserver === 'undefined') {
+      setTimeout(run, 0);
+      return;
+    }
+    const observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        if (once) {
+          stop();
+          ctx.watchers = ctx.watchers.filter(item => item.stop !== stop);
+        }
+        run();
+      });
+    });
+    const stop = () => observer.disconnect();
+    observer.observe(el);
+    ctx.watchers.push({ el, stop });
+  }
+
+  function stopWatchers(ctx, all) {
+    ctx.watchers = ctx.watchers.filter(entry => {
+      if (!all && entry.el.isConnected) return true;
+      entry.stop();
+      return false;
+    });
+  }
+
+  function setupHandlers(el, item, ctx, scope) {
+    for (const handler of item.handlers || []) {
+      const { type, arg, modifiers, body } = handler;
+      if (!body || type === 'oncall' || (type === 'onsubmit' && item.selector === 'form')) continue;
+      const once = modifiers.includes('once');
+      const run = () => parseFunctionBody(body, ctx, scope);
+      if (type === 'onload') {
+        if (!ctx.server) setTimeout(run, 100);
+      } else if (type === 'ontimer') {
+        if (!ctx.server) startTimer(el, parseDuration(arg, 1000), once, run, ctx);
+      } else if (type === 'onvisible') {
+        if (!ctx.server) observeVisible(el, once, run, ctx);
+      } else if (EVENT_TRIGGERS[type]) {
+        if (type === 'onclick') {
+          makeActivatable(el);
+          linkControls(el, body, ctx);
+        }
+        const listener = (e) => {
+          if (type === 'onkey' && arg && !matchesKey(e, arg)) return;
+          if (modifiers.includes('prevent')) e.preventDefault();
+          if (modifiers.includes('stop')) e.stopPropagation();
+          if (once) el.removeEventListener(EVENT_TRIGGERS[type], listener);
+          run();
+        };
+        el.addEventListener(EVENT_TRIGGERS[type], listener);
+      }
+    }
+  }
+
+  function makeActivatable(el) {
+    el.style.cursor = 'pointer';
+    if (el.tmkActivatable || INTERACTIVE_TAGS.includes(el.tagName)) return;
+    el.tmkActivatable = true;
+    if (!el.hasAttribute('role')) el.setAttribute('role', 'button');
+    if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '0');
+    el.addEventListener('keydown', (e) => {
+      if (e.target !== el || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      el.click();
+    });
+  }
+
+  function linkControls(el, body, ctx) {
+    const match = body.match(/\bcall:(toggle|show|unhide|hide):([^\s;#()]+)(?![#\w-])/);
+    if (!match || el.hasAttribute('aria-controls')) return;
+    const id = match[2];
+    el.setAttribute('aria-controls', 'tmk-' + id);
+    if (match[1] === 'toggle') {
+      const placeholder = ctx.placeholders[id];
+      el.setAttribute('aria-expanded', String(!!placeholder && !placeholder.tmkHidden && placeholder.style.display !== 'none'));
+    }
+  }
+
+  function parseColor(value) {
+    const color = NAMED_COLORS[String(value).trim().toLowerCase()] || String(value).trim();
+    let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (match) {
+      const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+      return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+    }
+    match = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+    return match ? match.slice(1, 4).map(Number) : null;
+  }
+
+  function getLuminance(rgb) {
+    const [r, g, b] = rgb.map(channel => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  function getContrastRatio(foreground, background) {
+    const [light, dark] = [getLuminance(foreground), getLuminance(background)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+  }
+
+  function hasAccessibleLabel(field, ctx) {
+    if (field.getAttribute('aria-label') || field.getAttribute('aria-labelledby') || field.getAttribute('title')) return true;
+    if (field.closest('label')) return true;
+    return !!(field.id && ctx.root && ctx.root.querySelector('label[for="' + field.id + '"]'));
+  }
+
+  function checkAccessibility(ctx, root) {
+    const issues = [];
+    const tokens = getThemeTokens(ctx, getThemeName(ctx));
+    const resolveColor = value => parseColor(String(value || '').replace(/^\$([a-zA-Z][\w-]*)$/, (match, name) => tokens[name] || match));
+    const report = (el, message) => {
+      const line = el.tmkNode ? el.tmkNode.line : null;
+      if (issues.some(issue => issue.line === line && issue.message === message)) return;
+      issues.push({ message, line, element: el });
+      console.warn('[TinyMark] a11y' + (line ? ' (line ' + line + ')' : '') + ': ' + message, el);
+    };
+    root.querySelectorAll('*').forEach(el => {
+      const node = el.tmkNode;
+      if (!node) return;
+      if (el.tagName === 'IMG' && !el.hasAttribute('alt')) {
+        report(el, 'Image has no alt text; add alt:"..." (or alt:"" if it is decorative)');
+      }
+      if (FIELD_SELECTORS.includes(el.tagName.toLowerCase()) && el.getAttribute('type') !== 'hidden' && !hasAccessibleLabel(el, ctx)) {
+        report(el, 'Form field has no label; add label:"..."');
+      }
+      if (hasInterpolation(JSON.stringify(node.attrs))) return;
+      const styles = mapStyles(node.attrs, node.selector);
+      const foreground = resolveColor(styles.color);
+      const background = resolveColor(styles.backgroundColor || styles.background);
+      if (!foreground || !background) return;
+      const ratio = getContrastRatio(foreground, background);
+      if (ratio < 4.5) {
+        report(el, 'Low contrast (' + ratio.toFixed(2) + ':1) between color ' + styles.color + ' and background ' + (styles.backgroundColor || styles.background) + '; aim for at least 4.5:1');
+      }
+    });
+    return issues;
+  }
+
+  function applyBodyStyles(attrs) {
+    if (attrs.color) {
+      document.body.style.color = attrs.color;
+    }
+    if (attrs.bg) {
+      document.body.style.backgroundColor = attrs.bg;
+    }
+    if (attrs.family) {
+      document.body.style.fontFamily = attrs.family;
+    }
+    if (attrs.size) {
+      document.body.style.fontSize = attrs.size;
+    }
+  }
+
+  function showInspector(el, rawLine, attrs) {
+    if (TinyMark.inspectorOverlay) {
+      TinyMark.inspectorOverlay.remove();
+    }
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      border: 2px solid #333;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 10000;
+      max-width: 500px;
+      font-family: monospace;
+      font-size: 14px;
+    `;
+    const title = document.createElement('h3');
+    title.textContent = 'TinyMark Inspector';
+    title.style.cssText = 'margin: 0 0 10px 0; font-size: 18px;';
+    const raw = createInspectorSection('Raw:', rawLine);
+    const attrsDiv = createInspectorSection('Attributes:', JSON.stringify(attrs, null, 2));
+    attrsDiv.style.whiteSpace = 'pre-wrap';
+    const computedStyle = window.getComputedStyle(el);
+    const relevantStyles = {
+      color: computedStyle.color,
+      backgroundColor: computedStyle.backgroundColor,
+      fontSize: computedStyle.fontSize,
+      padding: computedStyle.padding,
+      margin: computedStyle.margin
+    };
+    const computedDiv = createInspectorSection('Computed Styles:', JSON.stringify(relevantStyles, null, 2));
+    computedDiv.style.whiteSpace = 'pre-wrap';
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = 'Copy Attributes';
+    copyBtn.style.cssText = 'padding: 8px 16px; margin-right: 10px; cursor: pointer;';
+    copyBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(JSON.stringify(attrs, null, 2));
+      copyBtn.textContent = 'Copied!';
+      setTimeout(() => { copyBtn.textContent = 'Copy Attributes'; }, 1000);
+    });
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = 'Close';
+    closeBtn.style.cssText = 'padding: 8px 16px; cursor: pointer;';
+    closeBtn.addEventListener('click', () => {
+      overlay.remove();
+      TinyMark.inspectorOverlay = null;
+    });
+    overlay.appendChild(title);
+    overlay.appendChild(raw);
+    overlay.appendChild(attrsDiv);
+    overlay.appendChild(computedDiv);
+    overlay.appendChild(copyBtn);
+    overlay.appendChild(closeBtn);
+    document.body.appendChild(overlay);
+    TinyMark.inspectorOverlay = overlay;
+  }
+
+  function createInspectorSection(label, text) {
+    const section = document.createElement('div');
+    const strong = document.createElement('strong');
+    strong.textContent = label;
+    section.appendChild(strong);
+    section.appendChild(document.createTextNode(' ' + text));
+    section.style.marginBottom = '10px';
+    return section;
+  }
+
+  function createDevtoolsElement(tag, text, css) {
+    const el = document.createElement(tag);
+    if (text) el.textContent = text;
+    if (css) el.style.cssText = css;
+    return el;
+  }
+
+  function describeInstance(ctx) {
+    if (!ctx.host) return 'global';
+    return '<tiny-mark' + (ctx.host.id ? ' id="' + ctx.host.id + '"' : ctx.host.getAttribute('name') ? ' name="' + ctx.host.getAttribute('name') + '"' : '') + '>';
+  }
+
+  function logDebug(...args) {
+    if (hasDOM && TinyMark.devtools.panel) console.log(...args);
+  }
+
+  function logAction(ctx, action) {
+    if (TinyMark.production || !hasDOM) return;
+    const log = TinyMark.devtools.log;
+    log.push({ time: new Date().toLocaleTimeString(), instance: describeInstance(ctx), action });
+    if (log.length > DEVTOOLS_LOG_LIMIT) log.shift();
+    scheduleDevtoolsRefresh();
+  }
+
+  function openDevtools() {
+    const tools = TinyMark.devtools;
+    if (tools.panel) return;
+    const panel = createDevtoolsElement('div', '', 'position: fixed; z-index: 10000; display: flex; flex-direction: column; background: #ffffff; color: #222222; border: 1px solid #999999; box-shadow: 0 0 12px rgba(0,0,0,0.25); font: 12px monospace;');
+    panel.setAttribute('data-tmk-devtools', '');
+    const header = createDevtoolsElement('div', '', 'display: flex; gap: 4px; align-items: center; padding: 6px; border-bottom: 1px solid #dddddd; background: #f4f4f8;');
+    header.appendChild(createDevtoolsElement('strong', 'TinyMark', 'margin-right: auto;'));
+    [['tree', 'Tree'], ['registry', 'Registry'], ['log', 'Log']].forEach(([tab, label]) => {
+      const button = createDevtoolsElement('button', label, 'cursor: pointer;');
+      button.setAttribute('data-tmk-tab', tab);
+      button.addEventListener('click', () => {
+        tools.tab = tab;
+        renderDevtools();
+      });
+      header.appendChild(button);
+    });
+    const dock = createDevtoolsElement('button', 'Dock', 'cursor: pointer;');
+    dock.addEventListener('click', () => {
+      tools.dock = tools.dock === 'right' ? 'bottom' : 'right';
+      applyDevtoolsDock();
+    });
+    const close = createDevtoolsElement('button', '×', 'cursor: pointer;');
+    close.addEventListener('click', closeDevtools);
+    header.appendChild(dock);
+    header.appendChild(close);
+    tools.body = createDevtoolsElement('div', '', 'flex: 1; overflow: auto; padding: 6px;');
+    panel.appendChild(header);
+    panel.appendChild(tools.body);
+    tools.highlight = createDevtoolsElement('div', '', 'position: fixed; z-index: 9999; pointer-events: none; display: none; background: rgba(102,126,234,0.2); outline: 2px solid #667eea;');
+    tools.highlight.appendChild(createDevtoolsElement('span', '', 'position: absolute; bottom: 100%; left: 0; padding: 1px 4px; white-space: nowrap; background: #667eea; color: #ffffff; font: 11px monospace;'));
+    document.body.appendChild(tools.highlight);
+    document.body.appendChild(panel);
+    tools.panel = panel;
+    document.addEventListener('mouseover', handleDevtoolsHover, true);
+    applyDevtoolsDock();
+    renderDevtools();
+    console.log('[TinyMark] Devtools opened');
+  }
+
+  function closeDevtools() {
+    const tools = TinyMark.devtools;
+    if (!tools.panel) return;
+    document.removeEventListener('mouseover', handleDevtoolsHover, true);
+    tools.panel.remove();
+    tools.highlight.remove();
+    tools.panel = null;
+    tools.body = null;
+    tools.highlight = null;
+    tools.selected = null;
+  }
+
+  function applyDevtoolsDock() {
+    const panel = TinyMark.devtools.panel;
+    const right = TinyMark.devtools.dock === 'right';
+    panel.style.top = right ? '0' : 'auto';
+    panel.style.right = '0';
+    panel.style.bottom = '0';
+    panel.style.left = right ? 'auto' : '0';
+    panel.style.width = right ? '380px' : 'auto';
+    panel.style.height = right ? '100vh' : '40vh';
+  }
+
+  function scheduleDevtoolsRefresh() {
+    const tools = TinyMark.devtools;
+    if (!tools.panel || tools.refreshTimer) return;
+    tools.refreshTimer = setTimeout(() => {
+      tools.refreshTimer = null;
+      const active = document.activeElement;
+      if (active && tools.panel && tools.panel.contains(active) && active.tagName === 'INPUT') return;
+      renderDevtools();
+    }, 50);
+  }
+
+  function renderDevtools() {
+    const tools = TinyMark.devtools;
+    if (!tools.panel) return;
+    tools.panel.querySelectorAll('[data-tmk-tab]').forEach(button => {
+      button.style.fontWeight = button.getAttribute('data-tmk-tab') === tools.tab ? 'bold' : 'normal';
+    });
+    tools.body.textContent = '';
+    if (tools.tab === 'log') {
+      renderDevtoolsLog(tools.body);
+      return;
+    }
+    const contexts = Array.from(TinyMark.instances).filter(ctx => ctx.host);
+    if (!contexts.length) {
+      tools.body.appendChild(createDevtoolsElement('p', 'No <tiny-mark> components on this page.'));
     }
-    if (selector === 'col') {
-      styles.display = 'flex';
-      styles.flexDirection = 'column';
-      styles.gap = attrs.gap || '16px';
-      styles.flex = attrs.flex || '1';
+    contexts.forEach(ctx => {
+      tools.body.appendChild(createDevtoolsElement('h4', describeInstance(ctx), 'margin: 8px 0 4px;'));
+      if (tools.tab === 'registry') {
+        renderDevtoolsRegistry(tools.body, ctx);
+      } else {
+        renderDevtoolsTree(tools.body, ctx);
+      }
+    });
+    if (tools.tab === 'registry') {
+      tools.body.appendChild(createDevtoolsElement('h4', 'Global (tinymarkClient.registerId)', 'margin: 8px 0 4px;'));
+      renderDevtoolsList(tools.body, 'Hide blocks', Object.keys(TinyMark.hiddenBlocks).map(id => id));
+      renderDevtoolsList(tools.body, 'oncall functions', Object.keys(TinyMark.idFunctions).map(id => id + ': ' + TinyMark.idFunctions[id].body));
     }
-    if (selector === 'card') {
-      styles.padding = attrs.padding || '20px';
-      styles.borderRadius = attrs.radius || '8px';
-      styles.boxShadow = attrs.shadow || '0 2px 8px rgba(0,0,0,0.1)';
-      styles.backgroundColor = attrs.bg || '#ffffff';
+  }
+
+  function renderDevtoolsTree(parent, ctx) {
+    if (!ctx.parsed) {
+      parent.appendChild(createDevtoolsElement('p', 'Not rendered yet.'));
+      return;
     }
-    if (selector === 'divider') {
-      styles.border = 'none';
-      styles.borderTop = attrs.border || '1px solid #e0e0e0';
-      styles.margin = attrs.margin || '20px 0';
+    const selected = TinyMark.devtools.selected;
+    const visit = (nodes, depth) => {
+      nodes.forEach(node => {
+        const row = createDevtoolsElement('div', '', 'display: flex; gap: 8px; padding: 1px 2px; cursor: pointer; white-space: pre;');
+        row.setAttribute('data-tmk-line', node.line);
+        row.tmkContext = ctx;
+        row.appendChild(createDevtoolsElement('span', '  '.repeat(depth) + node.rawLine.split('\n')[0], 'flex: 1; overflow: hidden; text-overflow: ellipsis;'));
+        row.appendChild(createDevtoolsElement('span', ':' + node.line, 'color: #888888;'));
+        row.addEventListener('mouseenter', () => highlightLine(ctx, node.line));
+        row.addEventListener('mouseleave', () => highlightElements([], ''));
+        row.addEventListener('click', () => selectDevtoolsNode(ctx, node.line));
+        parent.appendChild(row);
+        if (selected && selected.ctx === ctx && selected.line === node.line) {
+          row.style.background = '#e3e7fb';
+          parent.appendChild(createDevtoolsEditor(ctx, node));
+        }
+        if (node.branches) node.branches.forEach(branch => visit(branch.children, depth + 1));
+        if (node.children) visit(node.children, depth + 1);
+        if (node.empty) visit(node.empty, depth + 1);
+      });
+    };
+    visit(ctx.parsed.children, 0);
+  }
+
+  function createDevtoolsEditor(ctx, node) {
+    const editor = createDevtoolsElement('div', '', 'display: flex; gap: 4px; padding: 4px; background: #f4f4f8;');
+    const input = createDevtoolsElement('input', '', 'flex: 1; font: 12px monospace;');
+    input.value = node.rawLine;
+    const apply = createDevtoolsElement('button', 'Apply', 'cursor: pointer;');
+    const commit = () => {
+      applyDevtoolsEdit(ctx, node, input.value);
+      input.blur();
+    };
+    apply.addEventListener('click', commit);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') commit();
+    });
+    editor.appendChild(input);
+    editor.appendChild(apply);
+    return editor;
+  }
+
+  function applyDevtoolsEdit(ctx, node, rawLine) {
+    const container = ctx.root ? ctx.root.querySelector('[data-tmk-root]') : null;
+    if (!container || typeof container.tmkSource !== 'string') return;
+    const source = container.tmkSource;
+    const offset = source.split('\n').slice(0, node.line - 1).reduce((total, line) => total + line.length + 1, 0);
+    const start = source.indexOf(node.rawLine, offset);
+    if (start === -1) {
+      console.warn('[TinyMark] Devtools could not find line ' + node.line + ' in the source');
+      return;
     }
-    if (selector === 'btn' || selector === 'button') {
-      const btnStyle = attrs.style || 'modern';
-      const baseStyle = BUTTON_STYLES[btnStyle] || BUTTON_STYLES.modern;
-      Object.assign(styles, baseStyle);
+    const next = source.substring(0, start) + rawLine.trim() + source.substring(start + node.rawLine.length);
+    if (!ctx.host.hasAttribute('src') && ctx.host.textContent === source) {
+      ctx.host.textContent = next;
+    } else {
+      ctx.host.renderSource(next);
     }
-    for (const key in styles) {
-      el.style[key] = styles[key];
+    console.log('[TinyMark] Devtools edited line', node.line);
+  }
+
+  function selectDevtoolsNode(ctx, line) {
+    TinyMark.devtools.selected = { ctx, line };
+    TinyMark.devtools.tab = 'tree';
+    renderDevtools();
+  }
+
+  function renderDevtoolsRegistry(parent, ctx) {
+    const isVisible = id => {
+      const placeholder = ctx.placeholders[id];
+      return !!placeholder && !placeholder.tmkHidden && placeholder.style.display !== 'none' && placeholder.childNodes.length > 0;
+    };
+    renderDevtoolsList(parent, 'Hide blocks', Object.keys(ctx.hiddenBlocks).map(id => id + (isVisible(id) ? ' (shown)' : ' (hidden)')));
+    renderDevtoolsList(parent, 'Placeholders', Object.keys(ctx.placeholders).map(id => id + (isVisible(id) ? ' (visible)' : ' (empty)')));
+    renderDevtoolsList(parent, 'oncall functions', Object.keys(ctx.idFunctions).map(id => id + ': ' + ctx.idFunctions[id].body));
+  }
+
+  function renderDevtoolsList(parent, title, items) {
+    parent.appendChild(createDevtoolsElement('div', title + ' (' + items.length + ')', 'margin-top: 4px; font-weight: bold;'));
+    items.forEach(item => parent.appendChild(createDevtoolsElement('div', '  ' + item, 'white-space: pre-wrap;')));
+  }
+
+  function renderDevtoolsLog(parent) {
+    const clear = createDevtoolsElement('button', 'Clear', 'cursor: pointer; margin-bottom: 4px;');
+    clear.addEventListener('click', () => {
+      TinyMark.devtools.log = [];
+      renderDevtools();
+    });
+    parent.appendChild(clear);
+    if (!TinyMark.devtools.log.length) {
+      parent.appendChild(createDevtoolsElement('p', 'No actions yet.'));
     }
-    if (attrs.animation) {
-      const animClass = 'tmk-anim-' + attrs.animation.replace(/:/g, '-');
-      el.classList.add(animClass);
+    TinyMark.devtools.log.slice().reverse().forEach(entry => {
+      parent.appendChild(createDevtoolsElement('div', entry.time + '  ' + entry.instance + '  ' + entry.action, 'white-space: pre-wrap; border-bottom: 1px solid #eeeeee; padding: 2px 0;'));
+    });
+  }
+
+  function handleDevtoolsHover(e) {
+    const tools = TinyMark.devtools;
+    if (!tools.panel || tools.panel.contains(e.target)) return;
+    const el = e.composedPath().find(node => node.tmkNode);
+    if (!el) {
+      highlightElements([], '');
+      return;
     }
+    highlightElements([el], 'line ' + el.tmkNode.line + ': ' + el.tmkNode.rawLine.split('\n')[0]);
+    tools.panel.querySelectorAll('[data-tmk-line]').forEach(row => {
+      const match = row.getAttribute('data-tmk-line') === String(el.tmkNode.line) && row.tmkContext.root === el.getRootNode();
+      row.style.outline = match ? '1px solid #667eea' : '';
+    });
   }
 
-  function createElementFromParsed(item, shadowRoot, allowJs) {
-    const { selector, text, attrs, rawLine } = item;
-    if (selector === 'body') {
-      applyBodyStyles(attrs);
-      return null;
+  function highlightLine(ctx, line) {
+    const elements = Array.from(ctx.root.querySelectorAll('*')).filter(el => el.tmkNode && el.tmkNode.line === line);
+    highlightElements(elements, 'line ' + line);
+  }
+
+  function getHighlightRects(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width || rect.height) return [rect];
+    return [].concat(...Array.from(el.children).map(getHighlightRects));
+  }
+
+  function highlightElements(elements, label) {
+    const highlight = TinyMark.devtools.highlight;
+    if (!highlight) return;
+    const rects = [].concat(...elements.map(getHighlightRects));
+    if (!rects.length) {
+      highlight.style.display = 'none';
+      return;
     }
-    if (selector === 'placeholder') {
-      const el = document.createElement('section');
-      el.setAttribute('data-tmk-id', attrs.id);
-      el.style.display = 'none';
-      TinyMark.placeholders[attrs.id] = el;
-      return el;
+    const top = Math.min(...rects.map(rect => rect.top));
+    const left = Math.min(...rects.map(rect => rect.left));
+    highlight.style.top = top + 'px';
+    highlight.style.left = left + 'px';
+    highlight.style.width = (Math.max(...rects.map(rect => rect.right)) - left) + 'px';
+    highlight.style.height = (Math.max(...rects.map(rect => rect.bottom)) - top) + 'px';
+    highlight.style.display = 'block';
+    highlight.firstChild.textContent = label;
+  }
+
+  function parseDuration(value, fallback) {
+    const match = String(value === null || value === undefined ? '' : value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/);
+    if (!match) return fallback;
+    const amount = Number(match[1]);
+    if (match[2] === 's') return amount * 1000;
+    if (match[2] === 'm') return amount * 60000;
+    return amount;
+  }
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function readCachedSource(url, options) {
+    if (options.cache === 'none') return null;
+    if (TinyMark.sourceCache.has(url)) {
+      return TinyMark.sourceCache.get(url);
     }
-    const tagName = SELECTORS[selector] || 'div';
-    const el = document.createElement(tagName);
-    if (selector === 'id') {
-      const id = attrs.id || text;
-      if (attrs.functionType === 'oncall' && attrs.functionBody) {
-        TinyMark.idFunctions[String(id)] = {
-          type: 'oncall',
-          body: attrs.functionBody
-        };
-        console.log('[TinyMark] Registered oncall function:', id);
+    if (options.cache === 'session' && typeof sessionStorage !== 'undefined') {
+      try {
+        const stored = sessionStorage.getItem('tinymark:' + url);
+        if (stored) return JSON.parse(stored);
+      } catch (err) {
+        console.warn('[TinyMark] sessionStorage unavailable:', err);
       }
-      el.setAttribute('data-tmk-function-id', id);
     }
-    if (text) {
-      if (tagName === 'img' || tagName === 'video' || tagName === 'audio') {
-      } else {
-        el.textContent = text;
+    return null;
+  }
+
+  function storeCachedSource(url, entry, options) {
+    if (options.cache === 'none') return;
+    TinyMark.sourceCache.set(url, entry);
+    if (options.cache === 'session' && typeof sessionStorage !== 'undefined') {
+      try {
+        sessionStorage.setItem('tinymark:' + url, JSON.stringify(entry));
+      } catch (err) {
+        console.warn('[TinyMark] Could not cache in sessionStorage:', err);
       }
     }
-    if (attrs.href) {
-      if (tagName === 'button') {
-        el.style.cursor = 'pointer';
-        el.addEventListener('click', () => {
-          window.location.href = attrs.href;
-        });
-      } else {
-        el.setAttribute('href', attrs.href);
+  }
+
+  async function fetchWithTimeout(url, init, timeout) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller && timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+    try {
+      return await fetch(url, Object.assign({}, init, controller ? { signal: controller.signal } : {}));
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new Error('Timed out after ' + timeout + 'ms: ' + url);
       }
+      throw err;
+    } finally {
+      if (timer) clearTimeout(timer);
     }
-    if (attrs.src) {
-      el.setAttribute('src', attrs.src);
-    }
-    if (attrs.controls !== undefined) {
-      el.setAttribute('controls', '');
-    }
-    if (attrs.autoplay !== undefined) {
-      el.setAttribute('autoplay', '');
+  }
+
+  async function fetchSource(url, options) {
+    const cached = readCachedSource(url, options);
+    let lastError = null;
+    for (let attempt = 0; attempt <= options.retries; attempt++) {
+      if (attempt > 0) {
+        console.warn('[TinyMark] Retrying', url, '(' + attempt + '/' + options.retries + ')');
+        await delay(options.retryDelay * Math.pow(2, attempt - 1));
+      }
+      try {
+        const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+        const response = await fetchWithTimeout(url, { headers }, options.timeout);
+        if (response.status === 304 && cached) {
+          return cached.text;
+        }
+        if (!response.ok) {
+          const error = new Error('Failed to fetch ' + url + ': ' + response.status + ' ' + response.statusText);
+          error.retryable = response.status >= 500;
+          throw error;
+        }
+        const text = await response.text();
+        storeCachedSource(url, { text, etag: response.headers.get('ETag') }, options);
+        return text;
+      } catch (err) {
+        lastError = err;
+        if (err.retryable === false) break;
+      }
     }
-    if (attrs.loop !== undefined) {
-      el.setAttribute('loop', '');
+    if (cached) {
+      console.warn('[TinyMark] Using cached copy of', url, 'after error:', lastError.message);
+      return cached.text;
     }
-    if (attrs.class) {
-      el.className = attrs.class;
+    throw lastError;
+  }
+
+  async function resolveIncludes(source, baseUrl, stack, options, ctx) {
+    const output = [];
+    for (const line of source.split('\n')) {
+      const match = line.match(/^(\s*)\.include(?:\s.*)?$/);
+      if (!match) {
+        output.push(line);
+        continue;
+      }
+      const node = parseDocument(line.trim()).children[0];
+      const src = node && (node.attrs.src || node.text);
+      if (!src) {
+        throw new Error('.include needs a src: attribute');
+      }
+      const url = resolveRequestUrl(ctx, src, baseUrl).href;
+      if (stack.includes(url)) {
+        throw new Error('Include cycle: ' + stack.concat(url).join(' -> '));
+      }
+      const text = await fetchSource(url, options);
+      const expanded = await resolveIncludes(text, url, stack.concat(url), options, ctx);
+      expanded.split('\n').forEach(included => output.push(match[1] + included));
     }
-    if (selector === 'input' || selector === 'textarea') {
-      if (attrs.placeholder) el.setAttribute('placeholder', attrs.placeholder);
-      if (attrs.value) el.value = attrs.value;
-      if (attrs.type) el.setAttribute('type', attrs.type);
+    return output.join('\n');
+  }
+
+  function hasIncludes(source) {
+    return /^\s*\.include(\s|$)/m.test(source);
+  }
+
+  function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function escapeAttribute(text) {
+    return escapeText(text).replace(/"/g, '&quot;');
+  }
+
+  function toKebabCase(name) {
+    return name.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase());
+  }
+
+  function serializeNode(node) {
+    if (node.nodeType === 3) {
+      return escapeText(node.data);
     }
-    if (selector === 'select' && attrs.options) {
-      const options = attrs.options.split(',');
-      options.forEach(opt => {
-        const option = document.createElement('option');
-        option.value = opt.trim();
-        option.textContent = opt.trim();
-        el.appendChild(option);
-      });
+    if (node.nodeType === 11) {
+      return node.childNodes.map(serializeNode).join('');
     }
-    applyStyles(el, attrs, selector);
-    if (attrs.functionType === 'onclick' && attrs.functionBody) {
-      el.style.cursor = 'pointer';
-      el.addEventListener('click', () => {
-        handleOnClickFunction(attrs.functionBody, shadowRoot, allowJs);
-      });
+    let html = '<' + node.localName;
+    node.attributes.forEach((value, name) => {
+      html += ' ' + name + '="' + escapeAttribute(value) + '"';
+    });
+    const css = Object.keys(node.style)
+      .filter(key => node.style[key] !== '' && node.style[key] !== undefined && node.style[key] !== null)
+      .map(key => toKebabCase(key) + ': ' + node.style[key] + ';')
+      .join(' ');
+    if (css) {
+      html += ' style="' + escapeAttribute(css) + '"';
     }
-    if (attrs.functionType === 'onload' && attrs.functionBody) {
-      setTimeout(() => {
-        parseFunctionBody(attrs.functionBody, shadowRoot, allowJs);
-      }, 100);
+    html += '>';
+    if (VOID_ELEMENTS.includes(node.localName)) {
+      return html;
     }
-    if (attrs.onclick) {
-      if (attrs.onclick.startsWith('js:')) {
-        if (allowJs) {
-          el.style.cursor = 'pointer';
-          el.addEventListener('click', () => {
-            try {
-              const code = attrs.onclick.substring(3).trim();
-              const func = new Function(code);
-              func();
-            } catch (err) {
-              console.error('[TinyMark] Error in onclick js:', err);
-            }
+    return html + node.childNodes.map(serializeNode).join('') + '</' + node.localName + '>';
+  }
+
+  function createServerNode(nodeType, tagName) {
+    const node = {
+      nodeType,
+      localName: tagName,
+      tagName: tagName ? tagName.toUpperCase() : undefined,
+      attributes: new Map(),
+      childNodes: [],
+      parentNode: null,
+      style: {},
+      isConnected: false,
+      ownerDocument: null,
+      checked: false,
+      appendChild(child) {
+        return node.insertBefore(child, null);
+      },
+      insertBefore(child, ref) {
+        const children = child.nodeType === 11 ? child.childNodes.slice() : [child];
+        children.forEach(item => {
+          if (item.parentNode) item.remove();
+          const index = ref ? node.childNodes.indexOf(ref) : -1;
+          if (index === -1) node.childNodes.push(item);
+          else node.childNodes.splice(index, 0, item);
+          item.parentNode = node;
+        });
+        return child;
+      },
+      remove() {
+        if (!node.parentNode) return;
+        const siblings = node.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(node), 1);
+        node.parentNode = null;
+      },
+      setAttribute(name, value) {
+        node.attributes.set(name, String(value));
+      },
+      getAttribute(name) {
+        return node.attributes.has(name) ? node.attributes.get(name) : null;
+      },
+      hasAttribute(name) {
+        return node.attributes.has(name);
+      },
+      removeAttribute(name) {
+        node.attributes.delete(name);
+      },
+      addEventListener() {},
+      removeEventListener() {},
+      focus() {},
+      classList: {
+        add(...names) {
+          const classes = (node.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+          names.forEach(name => {
+            if (!classes.includes(name)) classes.push(name);
+          });
+          node.setAttribute('class', classes.join(' '));
+        },
+        remove(...names) {
+          const classes = (node.getAttribute('class') || '').split(/\s+/).filter(name => name && !names.includes(name));
+          node.setAttribute('class', classes.join(' '));
+        },
+        contains(name) {
+          return (node.getAttribute('class') || '').split(/\s+/).includes(name);
+        }
+      },
+      get className() {
+        return node.getAttribute('class') || '';
+      },
+      set className(value) {
+        node.setAttribute('class', value);
+      },
+      get type() {
+        return node.getAttribute('type') || '';
+      },
+      get value() {
+        if (node.localName === 'textarea') return node.textContent;
+        if (node.localName === 'select') {
+          const selected = node.childNodes.find(option => option.hasAttribute && option.hasAttribute('selected')) || node.childNodes[0];
+          return selected ? selected.getAttribute('value') : '';
+        }
+        return node.getAttribute('value') || '';
+      },
+      set value(value) {
+        if (node.localName === 'textarea') {
+          node.textContent = value;
+        } else if (node.localName === 'select') {
+          node.childNodes.forEach(option => {
+            if (option.getAttribute('value') === String(value)) option.setAttribute('selected', '');
+            else option.removeAttribute('selected');
           });
         } else {
-          console.warn('[TinyMark] js: handler blocked. Add allow-js attribute to enable.');
+          node.setAttribute('value', value);
+        }
+      },
+      get textContent() {
+        if (node.nodeType === 3) return node.data;
+        return node.childNodes.map(child => child.textContent).join('');
+      },
+      set textContent(value) {
+        node.childNodes.forEach(child => {
+          child.parentNode = null;
+        });
+        node.childNodes = [];
+        if (value !== '' && value !== null && value !== undefined) {
+          const text = createServerNode(3);
+          text.data = String(value);
+          node.appendChild(text);
+        }
+      },
+      get innerHTML() {
+        return node.childNodes.map(serializeNode).join('');
+      },
+      set innerHTML(value) {
+        node.textContent = '';
+        if (value) {
+          throw new Error('innerHTML can only be cleared on the server');
+        }
+      },
+      get outerHTML() {
+        return serializeNode(node);
+      }
+    };
+    return node;
+  }
+
+  function createServerDocument() {
+    const doc = {
+      createElement(tagName) {
+        const node = createServerNode(1, String(tagName).toLowerCase());
+        node.ownerDocument = doc;
+        return node;
+      },
+      createDocumentFragment() {
+        const node = createServerNode(11);
+        node.ownerDocument = doc;
+        return node;
+      },
+      createTextNode(text) {
+        const node = createServerNode(3);
+        node.data = String(text);
+        node.ownerDocument = doc;
+        return node;
+      }
+    };
+    return doc;
+  }
+
+  function createHydrationDocument(container) {
+    const existing = Array.from(container.querySelectorAll('*'));
+    let index = 0;
+    const hydration = {
+      failed: false,
+      createElement(tagName) {
+        const node = existing[index++];
+        if (!hydration.failed && node && node.localName === String(tagName).toLowerCase()) {
+          return node;
         }
+        hydration.failed = true;
+        return document.createElement(tagName);
+      },
+      createDocumentFragment() {
+        return document.createDocumentFragment();
+      },
+      createTextNode(text) {
+        return document.createTextNode(text);
+      }
+    };
+    return hydration;
+  }
+
+  function renderToString(source, options) {
+    options = options || {};
+    const ctx = createContext(null, null, options.allowJs);
+    ctx.policy = createPolicy(ctx.policy, options.policy);
+    ctx.doc = createServerDocument();
+    ctx.server = true;
+    ctx.routePath = options.path || '/';
+    ctx.locale = options.locale || null;
+    Object.assign(ctx.state, options.state || {});
+    const doc = parseDocument(source);
+    reportDiagnostics(doc.diagnostics);
+    registerDeclarations(doc.children, ctx);
+    const container = ctx.doc.createElement('div');
+    container.setAttribute('data-tmk-root', '');
+    if (ctx.locale) {
+      container.setAttribute('lang', ctx.locale);
+      container.setAttribute('dir', isRtlLocale(ctx.locale) ? 'rtl' : 'ltr');
+    }
+    runPluginHook('beforeRender', null);
+    for (const item of doc.children) {
+      const el = createElementFromParsed(item, ctx);
+      if (el) container.appendChild(el);
+    }
+    runPluginHook('afterRender', container, null);
+    const rules = buildStyleRules(ctx);
+    const rulesStyle = rules ? '<style data-tmk-rules>' + escapeStyleText(rules) + '</style>' : '';
+    if (!options.hydrate) {
+      if (ctx.locale) {
+        return rulesStyle + '<div lang="' + escapeAttribute(ctx.locale) + '" dir="' + container.getAttribute('dir') + '">' + container.innerHTML + '</div>';
+      }
+      return rulesStyle + container.innerHTML;
+    }
+    return '<tiny-mark hydrate' + (options.allowJs ? ' allow-js' : '') +
+      (options.locale ? ' lang="' + escapeAttribute(options.locale) + '"' : '') +
+      (options.policy ? ' policy="' + escapeAttribute(JSON.stringify(options.policy)) + '"' : '') + '>' +
+      '<template shadowrootmode="open"><style>' + getShadowStyles() + '</style><style data-tmk-theme>' + escapeStyleText(buildThemeStyles(ctx)) + '</style>' +
+      rulesStyle + container.outerHTML + '</template>' +
+      escapeText(source) +
+      '</tiny-mark>';
+  }
+
+  function buildAnimationStyles() {
+    const animations = Object.assign({}, ANIMATIONS, TinyMark.animations);
+    return Object.keys(animations).map(name => {
+      const spec = typeof animations[name] === 'string' ? { keyframes: animations[name] } : animations[name];
+      if (spec.css) {
+        return spec.css.replace(/&/g, '.tmk-anim-' + name);
+      }
+      const timing = 'var(--tmk-duration, ' + (spec.duration || '0.5s') + ') var(--tmk-easing, ' + (spec.easing || 'ease') + ') var(--tmk-delay, 0s)';
+      return '@keyframes tmk-' + name + ' { ' + spec.keyframes + ' }\n' +
+        '.tmk-anim-' + name + ' { animation: tmk-' + name + ' ' + timing + ' both; }\n' +
+        '.tmk-exit-' + name + ' { animation: tmk-' + name + ' ' + timing + ' reverse both; }';
+    }).join('\n');
+  }
+
+  function getShadowStyles() {
+    return BASE_STYLES + buildAnimationStyles() + REDUCED_MOTION_STYLES;
+  }
+
+  function getSharedStyleSheet() {
+    if (!TinyMark.sharedSheet && typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype) {
+      try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(getShadowStyles());
+        TinyMark.sharedSheet = sheet;
+      } catch (err) {
+        console.warn('[TinyMark] Constructable stylesheets unavailable:', err);
       }
     }
-    el.setAttribute('data-tmk-selector', selector);
-    el.setAttribute('data-tmk-raw', rawLine);
-    el.addEventListener('click', (e) => {
-      if (e.shiftKey) {
-        e.preventDefault();
-        e.stopPropagation();
-        showInspector(el, rawLine, attrs);
-      }
+    return TinyMark.sharedSheet;
+  }
+
+  function refreshSharedStyles() {
+    if (TinyMark.sharedSheet) {
+      TinyMark.sharedSheet.replaceSync(getShadowStyles());
+    }
+  }
+
+  function adoptSharedStyles(root) {
+    const sheet = getSharedStyleSheet();
+    if (!sheet || !('adoptedStyleSheets' in root)) return false;
+    if (!root.adoptedStyleSheets.includes(sheet)) {
+      root.adoptedStyleSheets = root.adoptedStyleSheets.concat(sheet);
+    }
+    return true;
+  }
+
+  function prefersReducedMotion() {
+    return hasDOM && typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  function getAnimationClass(name, prefix) {
+    return (prefix || 'tmk-anim-') + name.replace(/:/g, '-');
+  }
+
+  function playAnimation(el, name) {
+    if (!name) return;
+    const animClass = getAnimationClass(name);
+    el.classList.remove(animClass);
+    void el.offsetWidth;
+    el.classList.add(animClass);
+  }
+
+  function animateOut(el, name, done) {
+    if (!name || !hasDOM || prefersReducedMotion()) {
+      done();
+      return;
+    }
+    const exitClass = getAnimationClass(name, 'tmk-exit-');
+    const token = {};
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      el.removeEventListener('animationend', onEnd);
+      el.classList.remove(exitClass);
+      if (el.tmkExit !== token) return;
+      el.tmkExit = null;
+      done();
+    };
+    const onEnd = e => {
+      if (e.target === el) finish();
+    };
+    el.tmkExit = token;
+    Array.from(el.classList).forEach(className => {
+      if (className.startsWith('tmk-anim-')) el.classList.remove(className);
     });
-    return el;
+    el.addEventListener('animationend', onEnd);
+    el.classList.add(exitClass);
+    const computed = window.getComputedStyle(el);
+    const timeout = parseDuration(computed.animationDuration, 0) + parseDuration(computed.animationDelay, 0);
+    setTimeout(finish, (timeout || 1000) + 50);
   }
 
-  function handleOnClickFunction(body, shadowRoot, allowJs) {
-    const callIdMatch = body.match(/call\s*:\s*\(\s*id\s*:\s*([^)]+)\)/);
-    if (callIdMatch) {
-      const funcId = callIdMatch[1].trim();
-      executeIdFunction(funcId, shadowRoot, allowJs);
+  function cancelExit(el) {
+    el.tmkExit = null;
+    Array.from(el.classList).forEach(className => {
+      if (className.startsWith('tmk-exit-')) el.classList.remove(className);
+    });
+  }
+
+  function observeReveal(el, animClass) {
+    el.tmkReveal = animClass;
+    if (typeof IntersectionObserver === 'undefined' || prefersReducedMotion()) {
+      el.classList.add(animClass);
       return;
     }
-    parseFunctionBody(body, shadowRoot, allowJs);
+    if (!TinyMark.revealObserver) {
+      TinyMark.revealObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          TinyMark.revealObserver.unobserve(entry.target);
+          entry.target.classList.remove('tmk-reveal');
+          entry.target.classList.add(entry.target.tmkReveal);
+        });
+      }, { threshold: 0.1 });
+    }
+    el.classList.add('tmk-reveal');
+    TinyMark.revealObserver.observe(el);
   }
 
-  function applyBodyStyles(attrs) {
-    if (attrs.color) {
-      document.body.style.color = attrs.color;
-    }
-    if (attrs.bg) {
-      document.body.style.backgroundColor = attrs.bg;
+  function setStaggerDelay(el, index, step) {
+    if (!step || !el.style) return;
+    const value = (index * step) + 'ms';
+    if (typeof el.style.setProperty === 'function') {
+      el.style.setProperty('--tmk-delay', value);
+    } else {
+      el.style['--tmk-delay'] = value;
     }
-    if (attrs.family) {
-      document.body.style.fontFamily = attrs.family;
+  }
+
+  function runPluginHook(hook, value, ...args) {
+    for (const plugin of TinyMark.plugins) {
+      if (typeof plugin.hooks[hook] !== 'function') continue;
+      try {
+        const result = plugin.hooks[hook](value, ...args);
+        if (hook === 'beforeParse' && typeof result === 'string') value = result;
+      } catch (err) {
+        console.error('[TinyMark] Plugin ' + plugin.name + ' failed in ' + hook + ':', err);
+      }
     }
-    if (attrs.size) {
-      document.body.style.fontSize = attrs.size;
+    return value;
+  }
+
+  function executePluginAction(name, arg, ctx, scope) {
+    try {
+      TinyMark.actions[name](arg, {
+        instance: ctx.host,
+        root: ctx.root,
+        scope,
+        getState: key => lookupValue(ctx, scope, key),
+        setState: (key, value) => setState(ctx, key, value)
+      });
+    } catch (err) {
+      console.error('[TinyMark] Action tmk:' + name + ' failed:', err);
     }
   }
 
-  function showInspector(el, rawLine, attrs) {
-    if (TinyMark.inspectorOverlay) {
-      TinyMark.inspectorOverlay.remove();
+  function installPlugin(plugin) {
+    const name = plugin.name || 'plugin-' + (TinyMark.plugins.length + 1);
+    if (TinyMark.plugins.some(installed => installed.name === name)) {
+      console.warn('[TinyMark] Plugin already installed:', name);
+      return false;
     }
-    const overlay = document.createElement('div');
-    overlay.style.cssText = `
-      position: fixed;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      background: white;
-      border: 2px solid #333;
-      border-radius: 8px;
-      padding: 20px;
-      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-      z-index: 10000;
-      max-width: 500px;
-      font-family: monospace;
-      font-size: 14px;
-    `;
-    const title = document.createElement('h3');
-    title.textContent = 'TinyMark Inspector';
-    title.style.cssText = 'margin: 0 0 10px 0; font-size: 18px;';
-    const raw = document.createElement('div');
-    raw.innerHTML = '<strong>Raw:</strong> ' + escapeHtml(rawLine);
-    raw.style.marginBottom = '10px';
-    const attrsDiv = document.createElement('div');
-    attrsDiv.innerHTML = '<strong>Attributes:</strong> ' + JSON.stringify(attrs, null, 2);
-    attrsDiv.style.marginBottom = '10px';
-    attrsDiv.style.whiteSpace = 'pre-wrap';
-    const computedDiv = document.createElement('div');
-    const computedStyle = window.getComputedStyle(el);
-    const relevantStyles = {
-      color: computedStyle.color,
-      backgroundColor: computedStyle.backgroundColor,
-      fontSize: computedStyle.fontSize,
-      padding: computedStyle.padding,
-      margin: computedStyle.margin
-    };
-    computedDiv.innerHTML = '<strong>Computed Styles:</strong> ' + JSON.stringify(relevantStyles, null, 2);
-    computedDiv.style.whiteSpace = 'pre-wrap';
-    computedDiv.style.marginBottom = '10px';
-    const copyBtn = document.createElement('button');
-    copyBtn.textContent = 'Copy Attributes';
-    copyBtn.style.cssText = 'padding: 8px 16px; margin-right: 10px; cursor: pointer;';
-    copyBtn.addEventListener('click', () => {
-      navigator.clipboard.writeText(JSON.stringify(attrs, null, 2));
-      copyBtn.textContent = 'Copied!';
-      setTimeout(() => { copyBtn.textContent = 'Copy Attributes'; }, 1000);
-    });
-    const closeBtn = document.createElement('button');
-    closeBtn.textContent = 'Close';
-    closeBtn.style.cssText = 'padding: 8px 16px; cursor: pointer;';
-    closeBtn.addEventListener('click', () => {
-      overlay.remove();
-      TinyMark.inspectorOverlay = null;
+    const selectors = plugin.selectors || {};
+    Object.keys(selectors).forEach(selector => {
+      const spec = typeof selectors[selector] === 'string' ? { tag: selectors[selector] } : selectors[selector];
+      if (SELECTORS[selector]) {
+        console.warn('[TinyMark] Plugin ' + name + ' cannot replace built-in selector:', selector);
+        return;
+      }
+      SELECTORS[selector] = spec.tag || 'div';
+      if (spec.container) CONTAINER_SELECTORS.push(selector);
+      if (spec.create) TinyMark.selectorFactories[selector] = spec.create;
     });
-    overlay.appendChild(title);
-    overlay.appendChild(raw);
-    overlay.appendChild(attrsDiv);
-    overlay.appendChild(computedDiv);
-    overlay.appendChild(copyBtn);
-    overlay.appendChild(closeBtn);
-    document.body.appendChild(overlay);
-    TinyMark.inspectorOverlay = overlay;
+    [].concat(plugin.styles || []).forEach(mapper => TinyMark.styleMappers.push(mapper));
+    [].concat(plugin.attributes || []).forEach(attribute => TinyMark.pluginAttributes.push(String(attribute)));
+    Object.assign(TinyMark.actions, plugin.actions || {});
+    Object.assign(TinyMark.animations, plugin.animations || {});
+    if (plugin.animations) refreshSharedStyles();
+    Object.assign(BUTTON_STYLES, plugin.buttonStyles || {});
+    TinyMark.plugins.push({ name, hooks: plugin.hooks || {} });
+    return true;
   }
 
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
-  function injectGlobalStyles() {
-    if (TinyMark.globalStyles) return;
-    const style = document.createElement('style');
-    style.id = 'tinymark-global-styles';
-    style.textContent = `
-      @keyframes tmk-fade {
-        from { opacity: 0; }
-        to { opacity: 1; }
-      }
-      @keyframes tmk-pop {
-        0% { transform: scale(0.8); opacity: 0; }
-        100% { transform: scale(1); opacity: 1; }
-      }
-      @keyframes tmk-slide-up {
-        from { transform: translateY(20px); opacity: 0; }
-        to { transform: translateY(0); opacity: 1; }
-      }
-      @keyframes tmk-slide-down {
-        from { transform: translateY(-20px); opacity: 0; }
-        to { transform: translateY(0); opacity: 1; }
-      }
-      @keyframes tmk-slide-left {
-        from { transform: translateX(20px); opacity: 0; }
-        to { transform: translateX(0); opacity: 1; }
-      }
-      @keyframes tmk-slide-right {
-        from { transform: translateX(-20px); opacity: 0; }
-        to { transform: translateX(0); opacity: 1; }
-      }
-      .tmk-anim-fade { animation: tmk-fade 0.5s ease-in-out; }
-      .tmk-anim-pop { animation: tmk-pop 0.3s cubic-bezier(0.68, -0.55, 0.265, 1.55); }
-      .tmk-anim-slide-up { animation: tmk-slide-up 0.4s ease-out; }
-      .tmk-anim-slide-down { animation: tmk-slide-down 0.4s ease-out; }
-      .tmk-anim-slide-left { animation: tmk-slide-left 0.4s ease-out; }
-      .tmk-anim-slide-right { animation: tmk-slide-right 0.4s ease-out; }
-      .tmk-anim-hover { transition: transform 0.2s ease; }
-      .tmk-anim-hover:hover { transform: scale(1.05); }
-    `;
-    document.head.appendChild(style);
-    TinyMark.globalStyles = style;
-  }
+  const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
 
-  class TinyMarkElement extends HTMLElement {
+  class TinyMarkElement extends BaseElement {
     constructor() {
       super();
-      this.attachShadow({ mode: 'open' });
+      if (!this.shadowRoot) {
+        this.attachShadow({ mode: 'open' });
+      }
       this.observer = null;
+      this.hydrated = false;
+      this.loadToken = 0;
+      this.policyOptions = null;
+      this.tmk = createContext(this, this.shadowRoot, false);
     }
 
     connectedCallback() {
-      injectGlobalStyles();
-      this.render();
+      TinyMark.instances.add(this.tmk);
+      if (this.hasAttribute('router')) {
+        TinyMark.routerMode = this.getAttribute('router') === 'history' ? 'history' : 'hash';
+      }
+      this.render(this.tornDown);
+      this.tornDown = false;
       this.observer = new MutationObserver(() => {
-        this.render();
+        this.scheduleRender();
       });
       this.observer.observe(this, { childList: true, subtree: true, characterData: true });
       if (this.hasAttribute('src')) {
@@ -773,75 +4373,311 @@
     disconnectedCallback() {
       if (this.observer) {
         this.observer.disconnect();
+        this.observer = null;
+      }
+      for (const id in this.tmk.fetches) {
+        stopFetch(this.tmk, this.tmk.fetches[id]);
+        this.tornDown = true;
       }
+      this.tmk.fetches = {};
+      if (this.tmk.eventListeners.length) this.tornDown = true;
+      removeEventListeners(this.tmk);
+      if (this.tmk.watchers.length) this.tornDown = true;
+      stopWatchers(this.tmk, true);
+      TinyMark.instances.delete(this.tmk);
     }
 
     static get observedAttributes() {
-      return ['src', 'allow-js'];
+      return ['src', 'allow-js', 'policy', 'theme', 'lang', 'lint'];
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
       if (name === 'src' && oldValue !== newValue) {
-        this.loadFromSrc();
+        if (this.observer) this.loadFromSrc();
+      } else if (name === 'theme') {
+        if (this.observer) this.applyTheme();
+      } else if (name === 'lang') {
+        if (this.observer) this.applyLocale();
+      } else if (name === 'lint') {
+        if (this.observer) this.renderLint();
       } else {
-        this.render();
+        this.scheduleRender();
       }
     }
 
+    scheduleRender() {
+      if (this.renderScheduled) return;
+      this.renderScheduled = true;
+      queueMicrotask(() => {
+        this.renderScheduled = false;
+        if (this.isConnected) this.render();
+      });
+    }
+
+    getLoadOptions() {
+      return {
+        retries: parseInt(this.getAttribute('retries'), 10) || 0,
+        retryDelay: 500,
+        timeout: parseDuration(this.getAttribute('timeout'), 10000),
+        cache: this.getAttribute('cache') || 'memory'
+      };
+    }
+
     async loadFromSrc() {
       const src = this.getAttribute('src');
       if (!src) return;
+      await this.loadSource(null, src, true);
+    }
+
+    async loadSource(content, url, force) {
+      const token = ++this.loadToken;
+      const status = parseDocument(content === null ? this.textContent || '' : content).children;
+      const loadingBlock = status.find(node => node.selector === 'loading' && !node.attrs.for);
+      const errorBlock = status.find(node => node.selector === 'error' && !node.attrs.for);
+      if (content === null || !this.shadowRoot.querySelector('[data-tmk-root]')) {
+        this.renderStatus(loadingBlock ? loadingBlock.children : [], null);
+      }
       try {
-        const response = await fetch(src);
-        if (!response.ok) {
-          throw new Error('Failed to fetch: ' + response.statusText);
-        }
-        const text = await response.text();
-        this.shadowRoot.innerHTML = '';
-        const container = document.createElement('div');
-        const parsed = parseLines(text);
-        for (const item of parsed) {
-          const el = createElementFromParsed(item, this.shadowRoot, this.hasAttribute('allow-js'));
-          if (el) container.appendChild(el);
-        }
-        this.shadowRoot.appendChild(container);
-        console.log('[TinyMark] Loaded from src:', src);
+        url = new URL(url, document.baseURI).href;
+        const options = this.getLoadOptions();
+        const text = content === null ? await fetchSource(url, options) : content;
+        const policy = this.getPolicy();
+        const expanded = policy.allow.includes('fetch') ? await resolveIncludes(text, url, [url], options, { policy }) : text;
+        if (token !== this.loadToken) return;
+        this.renderSource(expanded, force);
+        console.log('[TinyMark] Loaded from src:', url);
+        this.dispatchEvent(new CustomEvent('tmk:loaded', { detail: { src: url }, bubbles: true, composed: true }));
       } catch (err) {
+        if (token !== this.loadToken) return;
         console.error('[TinyMark] Error loading src:', err);
-        this.shadowRoot.innerHTML = '<p style="color: red;">Error loading TinyMark file: ' + escapeHtml(err.message) + '</p>';
+        this.renderStatus(errorBlock ? errorBlock.children : null, err);
+        this.dispatchEvent(new CustomEvent('tmk:error', { detail: { src: url, error: err }, bubbles: true, composed: true }));
       }
     }
 
-    render() {
+    renderStatus(nodes, error) {
+      this.prepareContext();
+      this.shadowRoot.innerHTML = '';
+      this.mountSharedStyles();
+      const container = document.createElement('div');
+      if (nodes) {
+        const scope = error ? { error: error.message } : {};
+        for (const item of nodes) {
+          const el = createElementFromParsed(item, this.tmk, scope);
+          if (el) container.appendChild(el);
+        }
+      } else {
+        const message = document.createElement('p');
+        message.style.color = 'red';
+        message.textContent = 'Error loading TinyMark file: ' + error.message;
+        container.appendChild(message);
+      }
+      this.shadowRoot.appendChild(container);
+      this.applyTheme();
+      this.applyDirection(container);
+      this.mountStyleRules();
+    }
+
+    prepareContext(keepBindings) {
+      resetContext(this.tmk, keepBindings);
+      this.tmk.allowJs = this.hasAttribute('allow-js');
+      this.tmk.policy = this.getPolicy();
+    }
+
+    getPolicy() {
+      const policy = createPolicy(createPolicy(TinyMark.policy, parsePolicyAttribute(this.getAttribute('policy'))), this.policyOptions);
+      if (this.hasAttribute('allow-js') && !policy.allow.includes('js')) {
+        policy.allow = policy.allow.concat('js');
+      }
+      return policy;
+    }
+
+    createStyleElement(name) {
+      const style = document.createElement('style');
+      style.setAttribute(name, '');
+      if (this.tmk.policy.nonce) style.setAttribute('nonce', this.tmk.policy.nonce);
+      this.shadowRoot.appendChild(style);
+      return style;
+    }
+
+    render(force) {
       if (this.hasAttribute('src')) {
         return;
       }
       const content = this.textContent || '';
-      this.shadowRoot.innerHTML = '';
-      const style = document.createElement('style');
-      style.textContent = `
-        :host {
-          display: block;
-        }
-        * {
-          box-sizing: border-box;
-        }
-        button {
-          cursor: pointer;
+      if (hasIncludes(content) && this.getPolicy().allow.includes('fetch')) {
+        this.loadSource(content, document.baseURI, force);
+        return;
+      }
+      this.loadToken++;
+      this.renderSource(content, force);
+    }
+
+    renderSource(content, force) {
+      runPluginHook('beforeRender', this);
+      const current = Array.from(this.shadowRoot.children).find(el => el.hasAttribute('data-tmk-root'));
+      if (current && current.tmkSource !== undefined && !force) {
+        this.update(content, current);
+        return;
+      }
+      this.prepareContext();
+      if (this.hasAttribute('hydrate') && !this.hydrated) {
+        this.hydrated = true;
+        const existing = this.shadowRoot.querySelector('[data-tmk-root]');
+        if (existing && this.hydrate(content, existing)) {
+          return;
         }
-      `;
-      this.shadowRoot.appendChild(style);
+        this.prepareContext();
+      }
+      this.shadowRoot.innerHTML = '';
+      this.mountSharedStyles();
       const container = document.createElement('div');
-      const parsed = parseLines(content);
-      for (const item of parsed) {
-        const el = createElementFromParsed(item, this.shadowRoot, this.hasAttribute('allow-js'));
+      container.setAttribute('data-tmk-root', '');
+      const doc = parseDocument(content);
+      this.tmk.parsed = doc;
+      reportDiagnostics(doc.diagnostics, this);
+      registerDeclarations(doc.children, this.tmk);
+      pruneFetches(this.tmk);
+      for (const item of doc.children) {
+        const el = createElementFromParsed(item, this.tmk);
         if (el) container.appendChild(el);
       }
+      container.tmkSource = content;
       this.shadowRoot.appendChild(container);
+      this.applyTheme();
+      this.applyDirection(container);
+      this.mountStyleRules();
+      runPluginHook('afterRender', container, this);
+      if (this.hasAttribute('a11y')) checkAccessibility(this.tmk, container);
+      this.renderLint();
+      notifyListeners('render', { instance: this, root: container });
+    }
+
+    mountSharedStyles() {
+      if (adoptSharedStyles(this.shadowRoot)) return;
+      this.createStyleElement('data-tmk-base').textContent = getShadowStyles();
+    }
+
+    applyTheme() {
+      const style = this.shadowRoot.querySelector('style[data-tmk-theme]') || this.createStyleElement('data-tmk-theme');
+      style.textContent = buildThemeStyles(this.tmk);
+    }
+
+    renderLint() {
+      const existing = this.shadowRoot.querySelector('[data-tmk-lint]');
+      if (existing) existing.remove();
+      const container = this.shadowRoot.querySelector('[data-tmk-root]');
+      if (!container || container.tmkSource === undefined || !this.hasAttribute('lint') || TinyMark.production) return;
+      const diagnostics = lintSource(container.tmkSource);
+      if (!diagnostics.length) return;
+      const box = document.createElement('div');
+      box.setAttribute('data-tmk-lint', '');
+      box.setAttribute('role', 'status');
+      box.style.cssText = 'font: 12px monospace; background: #fff8e1; color: #5d4037; border: 1px solid #ffb300; border-radius: 4px; padding: 8px; margin-bottom: 8px;';
+      diagnostics.forEach(diagnostic => {
+        const row = document.createElement('div');
+        if (diagnostic.severity === 'error') row.style.color = '#c62828';
+        row.textContent = diagnostic.line + ':' + diagnostic.column + ' ' + diagnostic.severity + ': ' + diagnostic.message + (diagnostic.fix ? ' (' + diagnostic.fix + ')' : '');
+        box.appendChild(row);
+      });
+      this.shadowRoot.insertBefore(box, container);
+    }
+
+    applyDirection(container) {
+      const locale = getLocale(this.tmk);
+      container.setAttribute('lang', locale);
+      container.setAttribute('dir', isRtlLocale(locale) ? 'rtl' : 'ltr');
+    }
+
+    applyLocale() {
+      const container = this.shadowRoot.querySelector('[data-tmk-root]');
+      if (!container) return;
+      this.applyDirection(container);
+      notifyBindings(this.tmk, LOCALE_KEY);
+    }
+
+    mountStyleRules() {
+      const style = this.shadowRoot.querySelector('style[data-tmk-rules]') || this.createStyleElement('data-tmk-rules');
+      this.tmk.rulesStyle = style;
+      flushStyleRules(this.tmk);
+    }
+
+    update(content, container) {
+      const policyChanged = JSON.stringify(this.getPolicy()) !== JSON.stringify(this.tmk.policy);
+      if (content === container.tmkSource && !policyChanged) {
+        return;
+      }
+      if (policyChanged) {
+        this.renderSource(content, true);
+        return;
+      }
+      const presets = JSON.stringify(this.tmk.presets);
+      this.prepareContext(true);
+      const doc = parseDocument(content);
+      this.tmk.parsed = doc;
+      reportDiagnostics(doc.diagnostics, this);
+      registerDeclarations(doc.children, this.tmk);
+      pruneFetches(this.tmk);
+      if (JSON.stringify(this.tmk.presets) !== presets) {
+        this.renderSource(content, true);
+        return;
+      }
+      reconcileChildren(container, doc.children, this.tmk);
+      stopWatchers(this.tmk, false);
+      prunePlaceholders(this.tmk);
+      updateRoutes(this.tmk);
+      pruneStyleRules(this.tmk);
+      container.tmkSource = content;
+      this.applyTheme();
+      this.applyDirection(container);
+      this.mountStyleRules();
+      runPluginHook('afterRender', container, this);
+      if (this.hasAttribute('a11y')) checkAccessibility(this.tmk, container);
+      this.renderLint();
+      notifyListeners('render', { instance: this, root: container });
+      logDebug('[TinyMark] Updated changed elements');
+    }
+
+    hydrate(content, container) {
+      const hydration = createHydrationDocument(container);
+      this.tmk.doc = hydration;
+      const doc = parseDocument(content);
+      this.tmk.parsed = doc;
+      reportDiagnostics(doc.diagnostics, this);
+      registerDeclarations(doc.children, this.tmk);
+      pruneFetches(this.tmk);
+      const elements = [];
+      for (const item of doc.children) {
+        const el = createElementFromParsed(item, this.tmk);
+        if (el) elements.push(el);
+      }
+      this.tmk.doc = document;
+      if (hydration.failed) {
+        console.warn('[TinyMark] Pre-rendered markup does not match the source; rendering from scratch');
+        return false;
+      }
+      elements.forEach(el => container.appendChild(el));
+      container.tmkSource = content;
+      this.applyTheme();
+      this.applyDirection(container);
+      this.mountStyleRules();
+      runPluginHook('afterRender', container, this);
+      if (this.hasAttribute('a11y')) checkAccessibility(this.tmk, container);
+      this.renderLint();
+      notifyListeners('render', { instance: this, root: container });
+      console.log('[TinyMark] Hydrated pre-rendered markup');
+      return true;
     }
   }
 
-  customElements.define('tiny-mark', TinyMarkElement);
+  if (hasDOM) {
+    window.addEventListener('hashchange', handleRouteChange);
+    window.addEventListener('popstate', handleRouteChange);
+  }
+
+  if (hasDOM && typeof customElements !== 'undefined') {
+    customElements.define('tiny-mark', TinyMarkElement);
+  }
 
   function upgradeLegacyElements() {
     const legacy = document.querySelectorAll('tinymark');
@@ -858,59 +4694,252 @@
     }
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', upgradeLegacyElements);
-  } else {
-    upgradeLegacyElements();
+  if (hasDOM) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', upgradeLegacyElements);
+    } else {
+      upgradeLegacyElements();
+    }
   }
 
-  window.tinymarkClient = {
+  const tinymarkClient = {
     version: TinyMark.version,
 
     renderAll: function() {
       const elements = document.querySelectorAll('tiny-mark');
       elements.forEach(el => {
-        if (el.render) el.render();
+        if (el.render) el.render(true);
       });
       console.log('[TinyMark] Rendered', elements.length, 'elements');
     },
 
+    parse: function(source) {
+      return parseDocument(source);
+    },
+
     toHTML: function(tinyText) {
-      const temp = document.createElement('div');
-      const parsed = parseLines(tinyText);
-      for (const item of parsed) {
-        const el = createElementFromParsed(item, null, false);
-        if (el) temp.appendChild(el);
-      }
-      return temp.innerHTML;
+      return renderToString(tinyText);
+    },
+
+    renderToString: function(source, options) {
+      return renderToString(source, options);
     },
 
     registerId: function(id, type, bodyText) {
+      const target = String(id).indexOf('#') > 0 ? resolveReference(null, id) : { ctx: null, id };
+      if (!target) return;
       if (type === 'hide' || type === 'hidden') {
-        registerHideBlock(id, bodyText);
+        registerHideBlock(target.ctx, target.id, bodyText);
       } else if (type === 'oncall') {
-        TinyMark.idFunctions[String(id)] = { type: 'oncall', body: bodyText };
+        registerIdFunction(target.ctx, target.id, bodyText);
       }
       console.log('[TinyMark] Registered', type, 'with id:', id);
     },
 
     unhide: function(id) {
-      executeCallAction('unhide', id, null, false);
+      executeCallAction('unhide', id, null);
     },
 
     hide: function(id) {
-      executeCallAction('hide', id, null, false);
+      executeCallAction('hide', id, null);
     },
 
     toggle: function(id) {
-      executeCallAction('toggle', id, null, false);
+      executeCallAction('toggle', id, null);
     },
 
     callFunction: function(id) {
-      executeIdFunction(id, null, false);
+      executeIdFunction(id, null);
+    },
+
+    setState: function(instance, key, value) {
+      const ctx = getInstanceContext(instance);
+      if (ctx) setState(ctx, key, value);
+    },
+
+    getState: function(instance, key) {
+      const ctx = getInstanceContext(instance);
+      if (!ctx) return undefined;
+      return key === undefined ? ctx.state : getStateValue(ctx, key);
+    },
+
+    setData: function(id, value) {
+      setData(id, value);
+      console.log('[TinyMark] Data updated:', id);
+    },
+
+    getData: function(id) {
+      return TinyMark.data[id];
+    },
+
+    registerHandler: function(name, handler) {
+      TinyMark.handlers[name] = handler;
+      console.log('[TinyMark] Registered handler:', name);
+    },
+
+    registerComponent: function(name, definition) {
+      const spec = typeof definition === 'string' ? { body: definition } : definition || {};
+      const doc = parseDocument(spec.body);
+      reportDiagnostics(doc.diagnostics);
+      const params = parseParams(spec.params || []);
+      if (!registerComponentDefinition(TinyMark.components, createComponentDefinition(name, params, doc.children))) {
+        return false;
+      }
+      TinyMark.instances.forEach(ctx => {
+        if (ctx.host && ctx.host.isConnected) ctx.host.render(true);
+      });
+      console.log('[TinyMark] Registered component:', name);
+      return true;
+    },
+
+    on: function(name, listener) {
+      if (!TinyMark.events[name]) TinyMark.events[name] = [];
+      TinyMark.events[name].push(listener);
+    },
+
+    off: function(name, listener) {
+      if (!TinyMark.events[name]) return;
+      TinyMark.events[name] = listener ? TinyMark.events[name].filter(fn => fn !== listener) : [];
+    },
+
+    configure: function(options, instance) {
+      if (options && options.production !== undefined) {
+        TinyMark.production = !!options.production;
+        if (TinyMark.production && hasDOM) closeDevtools();
+      }
+      if (instance) {
+        const ctx = getInstanceContext(instance);
+        if (!ctx || !ctx.host) return;
+        ctx.host.policyOptions = Object.assign({}, ctx.host.policyOptions, options);
+        ctx.host.render(true);
+        return;
+      }
+      TinyMark.policy = createPolicy(TinyMark.policy, options);
+      TinyMark.instances.forEach(ctx => {
+        if (ctx.host && ctx.host.isConnected) ctx.host.render(true);
+      });
+      console.log('[TinyMark] Policy updated');
+    },
+
+    devtools: function(enabled) {
+      if (!hasDOM) return false;
+      const open = enabled === undefined ? !TinyMark.devtools.panel : !!enabled;
+      if (!open) {
+        closeDevtools();
+        return false;
+      }
+      if (TinyMark.production) {
+        console.warn('[TinyMark] Devtools are disabled in production');
+        return false;
+      }
+      openDevtools();
+      return true;
+    },
+
+    lint: function(source) {
+      return lintSource(source);
+    },
+
+    checkA11y: function(instance) {
+      const contexts = instance ? [getInstanceContext(instance)] : Array.from(TinyMark.instances);
+      return contexts.filter(ctx => ctx && ctx.root).reduce((issues, ctx) => issues.concat(checkAccessibility(ctx, ctx.root)), []);
+    },
+
+    setLocale: function(locale, instance) {
+      if (instance) {
+        const ctx = getInstanceContext(instance);
+        if (ctx && ctx.host) ctx.host.setAttribute('lang', locale);
+        return;
+      }
+      TinyMark.locale = locale;
+      refreshLocales();
+      console.log('[TinyMark] Locale set to', locale);
+    },
+
+    getLocale: function(instance) {
+      return getLocale(instance ? getInstanceContext(instance) : null);
+    },
+
+    setFallbackLocale: function(locale) {
+      TinyMark.fallbackLocale = locale;
+      refreshLocales();
+    },
+
+    addMessages: function(locale, messages) {
+      addMessages(TinyMark.messages, locale, messages);
+      refreshLocales();
+    },
+
+    loadMessages: function(locale, url) {
+      return loadMessages(locale, hasDOM ? new URL(url, document.baseURI).href : url);
+    },
+
+    t: function(key, params, instance) {
+      return translate(instance ? getInstanceContext(instance) : null, key, params);
+    },
+
+    formatNumber: function(value, options, locale) {
+      return new Intl.NumberFormat(locale || TinyMark.locale, options).format(value);
+    },
+
+    formatDate: function(value, options, locale) {
+      return new Intl.DateTimeFormat(locale || TinyMark.locale, options).format(new Date(value));
+    },
+
+    refetch: function(id) {
+      refetch(id, null);
+    },
+
+    allowDomains: function(domains) {
+      [].concat(domains).forEach(domain => {
+        if (!TinyMark.allowedDomains.includes(domain)) TinyMark.allowedDomains.push(domain);
+      });
+      console.log('[TinyMark] Allowed domains:', TinyMark.allowedDomains.join(', '));
+    },
+
+    navigate: function(path, options) {
+      navigate(path, options && options.replace);
+    },
+
+    setTheme: function(name, instance) {
+      if (instance) {
+        const ctx = getInstanceContext(instance);
+        if (ctx && ctx.host) ctx.host.setAttribute('theme', name);
+        return;
+      }
+      TinyMark.theme = name;
+      TinyMark.instances.forEach(ctx => {
+        if (ctx.host && ctx.host.isConnected) ctx.host.applyTheme();
+      });
+      console.log('[TinyMark] Theme set to', name);
+    },
+
+    registerTheme: function(name, tokens) {
+      TinyMark.themes[name] = Object.assign({}, TinyMark.themes[name], tokens);
+      TinyMark.instances.forEach(ctx => {
+        if (ctx.host && ctx.host.isConnected) ctx.host.applyTheme();
+      });
+    },
+
+    use: function(plugin) {
+      const spec = typeof plugin === 'function' ? plugin(tinymarkClient) : plugin;
+      if (!spec || !installPlugin(spec)) return false;
+      TinyMark.instances.forEach(ctx => {
+        if (ctx.host && ctx.host.isConnected) ctx.host.render(true);
+      });
+      console.log('[TinyMark] Installed plugin:', TinyMark.plugins[TinyMark.plugins.length - 1].name);
+      return true;
     }
   };
 
+  if (hasDOM) {
+    window.tinymarkClient = tinymarkClient;
+  }
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = tinymarkClient;
+  }
+
   console.log('[TinyMark] v' + TinyMark.version + ' loaded');
 
 })();
@@ -0,0 +1,17 @@
+/* TinyMark ES module entry for Node
+ *
+ * Usage:
+ *   import tinymark, { renderToString } from './tinymark.mjs';
+ *   const html = renderToString('.T1 "Hello"');
+ *
+ * Browsers should keep loading tinymark.js with a classic <script> tag.
+ */
+
+import tinymark from './tinymark.js';
+
+export const parse = tinymark.parse;
+export const toHTML = tinymark.toHTML;
+export const renderToString = tinymark.renderToString;
+export const lint = tinymark.lint;
+
+export default tinymark;